@@ -0,0 +1,63 @@
+// Reference engine for the /bots namespace (see "External Engines" in
+// server.js): plays a random legal turn whenever its seat is to move.
+//
+//   node bots/random.js "<seat link>"
+//
+// The seat link is the one the room shows, or where it leads, e.g.
+// http://localhost:3000/r/<room>/black/<token>
+// http://localhost:3000/sandrina/<token>
+// http://localhost:3000/#room=<room>&seat=black&token=<token>
+import { io } from "socket.io-client";
+
+const THINK_MS = Number(process.env.THINK_MS) || 300;
+const DEFAULT_SEATS = { chris: "white", sandrina: "black" }; // the links of the chris-sandrina room
+
+function parseSeatLink(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  const params = new URLSearchParams(url.hash.replace(/^#/, ""));
+  let roomId = params.get("room"), seat = params.get("seat"), token = params.get("token");
+  const path = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  if (path[0] === "r" && path.length === 4) [, roomId, seat, token] = path;
+  if (path.length === 2 && DEFAULT_SEATS[path[0]]) [roomId, seat, token] = ["chris-sandrina", DEFAULT_SEATS[path[0]], path[1]];
+  if (!roomId || !["white", "black"].includes(seat) || !token) return null;
+  return { origin: url.origin, roomId, seat, token };
+}
+
+const link = parseSeatLink(process.argv[2] || "");
+if (!link) {
+  console.error('usage: node bots/random.js "http://host:port/r/<room>/<white|black>/<token>"');
+  process.exit(2);
+}
+
+const { origin, roomId, seat, token } = link;
+const socket = io(`${origin}/bots`, { auth: { roomId, seat, token, name: "Zufall" } });
+
+socket.on("connect", () => console.log(`playing ${seat} in ${roomId}`));
+
+// server not reachable (yet): socket.io keeps retrying; refused by the
+// server (wrong token, unknown room): trying again won't help
+socket.on("connect_error", (err) => {
+  if (err.type === "TransportError") return;
+  console.error(`connection refused: ${err.message}`);
+  process.exit(1);
+});
+
+socket.on("turn", ({ version, moves }) => {
+  if (!moves.length) return;
+  const pick = moves[Math.floor(Math.random() * moves.length)];
+  setTimeout(() => {
+    socket.emit("move", { version, ...pick }, (res) => {
+      if (!res?.ok) console.error(`move refused: ${res?.error}`);
+    });
+  }, THINK_MS);
+});
+
+socket.on("seatLost", ({ reason }) => {
+  console.log(`seat lost (${reason})`);
+  process.exit(0);
+});
@@ -0,0 +1,5 @@
+import { parentPort, workerData } from "worker_threads";
+import { chooseTurn } from "./ai.js";
+
+// Runs one search off the main thread so other rooms keep being served
+parentPort.postMessage(chooseTurn(workerData.state, workerData.level));
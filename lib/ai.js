@@ -0,0 +1,151 @@
+import {
+  captureSequences, capturesOnly, isKing, listMovesForPiece, maxCaptureCount, playStep, resolveHuff, sign
+} from "../shared/engine.js";
+
+/**
+ * Computer player: alpha-beta (negamax) search over whole turns, built on
+ * the shared engine so it follows whatever `state.rules` are active,
+ * including the skip-capture penalty and optional/forced multi-capture.
+ */
+
+export const LEVELS = {
+  easy:   { depth: 2, timeMs: 300,  noise: 60 },
+  medium: { depth: 4, timeMs: 1000, noise: 15 },
+  hard:   { depth: 10, timeMs: 3000, noise: 0 }
+};
+
+const WIN = 1_000_000;
+const MAN = 100;
+const KING = 300;
+
+class SearchTimeout extends Error {}
+
+/**
+ * Every complete turn for the side to move: { path, state }.
+ * `path` lists the squares the piece visits; `state` is the position after
+ * the turn has passed (or the game has ended).
+ * While a huff decision is pending the options are { huff, state } instead,
+ * one per choice resolveHuff accepts. In the middle of a capture sequence
+ * (a computer seated mid-turn) they are the ways to go on from there.
+ */
+export function turnOptions(state) {
+  const { board, rules, turn } = state;
+  const out = [];
+  const n = board.length;
+  if (state.pendingHuff) {
+    for (const remove of state.pendingHuff.candidates) {
+      out.push({ huff: { remove }, state: resolveHuff(state, { remove }) });
+    }
+    out.push({ huff: { forceCapture: true }, state: resolveHuff(state, { forceCapture: true }) });
+    return out;
+  }
+  const most = rules.maxCapture ? maxCaptureCount(state) : 0;
+  const pending = state.pendingCapture;
+  const only = !!pending || capturesOnly(state);
+  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) {
+    if (sign(board[r][c]) !== turn || (pending && (pending.r !== r || pending.c !== c))) continue;
+    const from = { r, c };
+    for (const seq of captureSequences(state, from)) {
+      if (seq.state.lastMove.captured.length >= most) out.push({ ...seq, capture: true });
+    }
+    const moves = only ? [] : listMovesForPiece(board, r, c, rules);
+    for (const m of moves) {
+      out.push({ path: [from, m.to], state: playStep(state, { from, to: m.to }), capture: false });
+    }
+  }
+  // captures first: better cutoffs
+  out.sort((a, b) => b.capture - a.capture);
+  return out;
+}
+
+// Static score from White's point of view
+export function evaluate(state) {
+  const { board } = state;
+  const last = board.length - 1;
+  let score = 0;
+  for (let r = 0; r <= last; r++) for (let c = 0; c <= last; c++) {
+    const p = board[r][c];
+    if (!p) continue;
+    const side = sign(p);
+    let v;
+    if (isKing(p)) {
+      v = KING;
+    } else {
+      // advancement towards the crowning row, back row kept as a guard
+      const advance = side === 1 ? last - r : r;
+      v = MAN + advance * 4 + (advance === 0 ? 6 : 0);
+    }
+    if (c >= 2 && c <= last - 2 && r >= 2 && r <= last - 2) v += 5; // centre
+    score += side * v;
+  }
+  return score;
+}
+
+function negamax(state, depth, alpha, beta, ply, ctx) {
+  if (++ctx.nodes % 512 === 0 && Date.now() > ctx.deadline) throw new SearchTimeout();
+
+  if (state.result) {
+    const { winner } = state.result;
+    return winner === 0 ? 0 : winner === state.turn ? WIN - ply : -(WIN - ply);
+  }
+  if (depth === 0) return state.turn * evaluate(state);
+
+  const options = turnOptions(state);
+  if (!options.length) return -(WIN - ply);
+
+  let best = -Infinity;
+  for (const opt of options) {
+    // the turn has not passed if the game ended mid-sequence
+    const flip = opt.state.turn !== state.turn;
+    const score = flip
+      ? -negamax(opt.state, depth - 1, -beta, -alpha, ply + 1, ctx)
+      : negamax(opt.state, depth - 1, alpha, beta, ply + 1, ctx);
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+/**
+ * Pick a turn for the side to move within the level's depth and time budget
+ * (iterative deepening: the deepest completed search wins).
+ * Returns { path }, { huff } for a pending huff decision, or null if there
+ * is nothing to play.
+ */
+export function chooseTurn(state, level = "medium", random = Math.random) {
+  const { depth, timeMs, noise } = LEVELS[level] || LEVELS.medium;
+  const options = turnOptions(state);
+  if (!options.length) return null;
+  if (options.length === 1) return asTurn(options[0]);
+
+  const ctx = { deadline: Date.now() + timeMs, nodes: 0 };
+  let scores = options.map(() => 0);
+
+  for (let d = 1; d <= depth; d++) {
+    try {
+      scores = options.map(opt => {
+        const flip = opt.state.turn !== state.turn;
+        return flip
+          ? -negamax(opt.state, d - 1, -Infinity, Infinity, 1, ctx)
+          : negamax(opt.state, d - 1, -Infinity, Infinity, 1, ctx);
+      });
+    } catch (err) {
+      if (!(err instanceof SearchTimeout)) throw err;
+      break;
+    }
+    if (scores.some(s => s >= WIN - depth)) break; // forced win found
+  }
+
+  // weaker levels blur the scores a little
+  let bestIdx = 0, bestScore = -Infinity;
+  scores.forEach((s, i) => {
+    const v = s + (noise ? (random() - 0.5) * 2 * noise : 0);
+    if (v > bestScore) { bestScore = v; bestIdx = i; }
+  });
+  return asTurn(options[bestIdx]);
+}
+
+function asTurn(opt) {
+  return opt.huff ? { huff: opt.huff } : { path: opt.path };
+}
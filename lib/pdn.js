@@ -0,0 +1,285 @@
+import {
+  VARIANTS, captureSequences, createInitialState, isLegalStep, listMovesForPiece, playStep, resolveHuff, setupProblem,
+  sign, variantRules
+} from "../shared/engine.js";
+
+/**
+ * Portable Draughts Notation (PDN) for 8x8 and 10x10 boards.
+ *
+ * Squares are the dark squares ((r + c) % 2 === 1), numbered row by row
+ * from the top as laid out by createInitialState(): on 8x8 row 0 holds 1..4
+ * and row 7 holds 29..32 (Black starts on 1..12, White on 21..32); on 10x10
+ * they run 1..50 the same way.
+ */
+
+// PDN GameType numbers; German Dame has none and is written without one
+const GAME_TYPES = { international: "20", english: "21", russian: "25" };
+
+const bool = v => v === "true";
+
+// Rules tag keys and how each value is read back
+const RULE_PARSERS = {
+  mustCapture: bool,
+  skipCapturePenaltyRemoveMoved: bool,
+  penaltyMode: v => (v === "huff" || v === "strict" ? v : "removeMoved"),
+  multiCapture: v => (v === "forced" ? "forced" : "optional"),
+  flyingKingMove: bool,
+  flyingKingCapture: bool,
+  menBackwardCapture: bool,
+  promotion: v => (v === "continue" || v === "pass" ? v : "stop"),
+  maxCapture: bool,
+  repetitionDraw: bool,
+  kingMovesDraw: v => Math.min(100, Math.max(0, Math.floor(Number(v) || 0)))
+};
+const RULE_KEYS = Object.keys(RULE_PARSERS);
+
+// What can be wrong with an import. The key and its params travel to the
+// client, which words them in its language; the text here is for logs and tests.
+const PDN_PROBLEMS = {
+  square: p => `No such square: ${p.square}`,
+  fenTurn: p => `Bad FEN side to move: ${p.fen}`,
+  fenPieces: p => `Bad FEN piece list: ${p.part}`,
+  fenSetup: p => `FEN start position cannot be played (${p.problem})`,
+  badMove: p => `Bad move: ${p.token}`,
+  notToMove: p => `Illegal move #${p.n} (${p.move}): not the side to move`,
+  illegal: p => `Illegal move #${p.n} (${p.move})`,
+  gameType: p => `Unsupported GameType: ${p.type}`,
+  afterEnd: p => `Move #${p.n} (${p.move}) after the game ended`,
+  huffSquare: p => `Move #${p.n} (${p.move}): square ${p.square} cannot be huffed`,
+  huffMissing: p => `Move #${p.n} (${p.move}) skips a capture but no huffed piece is given`
+};
+
+export class PdnError extends Error {
+  constructor(key, params = {}) {
+    super(PDN_PROBLEMS[key](params));
+    this.name = "PdnError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+export function squareNumber(r, c, size = 8) {
+  return r * (size / 2) + Math.floor(c / 2) + 1;
+}
+
+export function squareCoords(n, size = 8) {
+  const half = size / 2;
+  if (!Number.isInteger(n) || n < 1 || n > size * half) throw new PdnError("square", { square: n });
+  const r = Math.floor((n - 1) / half);
+  const c = ((n - 1) % half) * 2 + (r % 2 === 0 ? 1 : 0);
+  return { r, c };
+}
+
+// ---------- Tags ----------
+function escapeTag(value) { return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\""); }
+
+export function formatRules(rules) {
+  return RULE_KEYS.map(k => `${k}=${rules[k]}`).join(",");
+}
+
+export function parseRules(text) {
+  const out = {};
+  for (const part of String(text).split(",")) {
+    const [k, v] = part.split("=").map(x => x && x.trim());
+    if (!RULE_KEYS.includes(k)) continue;
+    out[k] = RULE_PARSERS[k](v);
+  }
+  return out;
+}
+
+// ---------- FEN ----------
+// "W:W21,22,K5:B1,2,K29" - side to move, then White and Black pieces (K = king)
+export function formatFen(board, turn) {
+  const size = board.length;
+  const lists = { 1: [], "-1": [] };
+  for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) {
+    const p = board[r][c];
+    if (!p) continue;
+    lists[p > 0 ? 1 : -1].push(`${Math.abs(p) === 2 ? "K" : ""}${squareNumber(r, c, size)}`);
+  }
+  return `${turn === 1 ? "W" : "B"}:W${lists[1].join(",")}:B${lists[-1].join(",")}`;
+}
+
+export function parseFen(text, size = 8) {
+  const parts = String(text).trim().replace(/\.$/, "").split(":");
+  const turnTag = parts.shift()?.toUpperCase();
+  if (turnTag !== "W" && turnTag !== "B") throw new PdnError("fenTurn", { fen: String(text) });
+
+  const board = Array.from({ length: size }, () => Array(size).fill(0));
+  for (const part of parts) {
+    const color = part[0]?.toUpperCase();
+    if (color !== "W" && color !== "B") throw new PdnError("fenPieces", { part });
+    const side = color === "W" ? 1 : -1;
+    for (let item of part.slice(1).split(",")) {
+      item = item.trim();
+      if (!item) continue;
+      const king = /^K/i.test(item);
+      if (king) item = item.slice(1);
+      const range = item.match(/^(\d+)-(\d+)$/);
+      const [first, last] = range ? [Number(range[1]), Number(range[2])] : [];
+      // both ends on the board before anything is allocated for the range
+      if (range && (first < 1 || last > size * size / 2)) throw new PdnError("fenPieces", { part });
+      const nums = range
+        ? Array.from({ length: last - first + 1 }, (_, i) => first + i)
+        : [Number(item)];
+      for (const n of nums) {
+        const { r, c } = squareCoords(n, size);
+        board[r][c] = side * (king ? 2 : 1);
+      }
+    }
+  }
+  return { board, turn: turnTag === "W" ? 1 : -1 };
+}
+
+// ---------- Games ----------
+/**
+ * Parse one PDN game.
+ * Returns { tags, moves } where each move is { squares: [n, ...], capture }
+ * plus `huff: n` when a "{huff n}" comment says which piece was blown away.
+ */
+export function parsePdn(text) {
+  const tags = {};
+  let body = String(text).replace(/\r/g, "");
+
+  body = body.replace(/\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g, (_, name, value) => {
+    tags[name] = value.replace(/\\(.)/g, "$1");
+    return " ";
+  });
+
+  // comments and variations are not replayed, except our huff notes
+  body = body.replace(/\{\s*huff\s+(\d+)\s*\}/g, " @huff:$1 ");
+  body = body.replace(/\{[^}]*\}/g, " ");
+  while (/\([^()]*\)/.test(body)) body = body.replace(/\([^()]*\)/g, " ");
+
+  const moves = [];
+  for (const token of body.split(/\s+/)) {
+    if (!token) continue;
+    if (/^\d+\.+$/.test(token)) continue; // move number
+    if (token.startsWith("@huff:")) {
+      if (moves.length) moves[moves.length - 1].huff = Number(token.slice(6));
+      continue;
+    }
+    if (/^(1-0|0-1|2-0|0-2|1-1|1\/2-1\/2|\*)$/.test(token)) break; // result
+    const m = token.replace(/^\d+\.+/, "").replace(/[!?*]+$/, "");
+    if (!m) continue;
+    if (!/^\d+([-x]\d+)+$/.test(m)) throw new PdnError("badMove", { token });
+    moves.push({
+      squares: m.split(/[-x]/).map(Number),
+      capture: m.includes("x")
+    });
+  }
+  return { tags, moves };
+}
+
+export function formatMove(entry, size = 8) {
+  const sep = entry.captured.length ? "x" : "-";
+  return entry.path.map(p => squareNumber(p.r, p.c, size)).join(sep);
+}
+
+export function formatResult(result) {
+  if (!result) return "*";
+  return result.winner === 1 ? "1-0" : result.winner === -1 ? "0-1" : "1/2-1/2";
+}
+
+/**
+ * Export a game. `tags` are written first in the given order;
+ * `setup` ({ board, turn }) adds SetUp/FEN tags for non-standard starts,
+ * `variant` a GameType tag where PDN has a number for it.
+ */
+export function formatPdn({ tags, history, setup, result, variant = "german" }) {
+  const { size, firstTurn } = VARIANTS[variant] || VARIANTS.german;
+  const all = { ...tags };
+  if (GAME_TYPES[variant]) all.GameType = GAME_TYPES[variant];
+  if (setup) {
+    all.SetUp = "1";
+    all.FEN = formatFen(setup.board, setup.turn);
+  }
+  all.Result = formatResult(result);
+
+  const lines = Object.entries(all).map(([k, v]) => `[${k} "${escapeTag(v)}"]`);
+
+  const tokens = [];
+  let num = 1;
+  history.forEach((entry, i) => {
+    if (entry.side === firstTurn) tokens.push(`${num}.`);
+    else if (i === 0) tokens.push(`${num}...`);
+    tokens.push(formatMove(entry, size));
+    if (entry.huffed) tokens.push(`{huff ${squareNumber(entry.huffed.r, entry.huffed.c, size)}}`);
+    if (entry.side === -firstTurn) num++;
+  });
+  tokens.push(all.Result);
+
+  // wrap movetext at ~80 columns
+  const body = [];
+  let line = "";
+  for (const t of tokens) {
+    if (line && line.length + t.length + 1 > 80) { body.push(line); line = ""; }
+    line = line ? `${line} ${t}` : t;
+  }
+  if (line) body.push(line);
+
+  return `${lines.join("\n")}\n\n${body.join("\n")}\n`;
+}
+
+// ---------- Import ----------
+// Does `path` visit the given squares in order, starting and ending on them?
+function pathMatches(path, squares) {
+  const same = (a, b) => a.r === b.r && a.c === b.c;
+  if (!same(path[0], squares[0]) || !same(path[path.length - 1], squares[squares.length - 1])) return false;
+  let i = 0;
+  for (const p of path) if (i < squares.length && same(p, squares[i])) i++;
+  return i === squares.length;
+}
+
+// `at` is { n, move }: which move of the text, for the error
+function applyPdnMove(state, squares, at) {
+  const [from, to] = squares;
+  if (squares.length === 2 && isLegalStep(state, from, to) &&
+      listMovesForPiece(state.board, from.r, from.c, state.rules).some(x => x.to.r === to.r && x.to.c === to.c)) {
+    return playStep(state, { from, to });
+  }
+  if (sign(state.board[from.r][from.c]) !== state.turn) throw new PdnError("notToMove", at);
+  // captures may list every landing square or just the first and the last
+  const match = captureSequences(state, from).find(seq => pathMatches(seq.path, squares));
+  if (!match) throw new PdnError("illegal", at);
+  return match.state;
+}
+
+/**
+ * Build a game state from PDN text: a GameType tag picks the variant (and
+ * its preset rules instead of `rules`/`variant`), the FEN tag (if any) sets
+ * the start, the Rules tag (if any) overrides the rules, and every move is
+ * validated.
+ */
+export function loadPdnGame(text, rules, variant = "german") {
+  const { tags, moves } = parsePdn(text);
+  if (tags.GameType) {
+    const type = String(tags.GameType).split(",")[0].trim();
+    variant = Object.keys(GAME_TYPES).find(v => GAME_TYPES[v] === type);
+    if (!variant) throw new PdnError("gameType", { type: String(tags.GameType) });
+    rules = variantRules(variant);
+  }
+  const { size } = VARIANTS[variant] || VARIANTS.german;
+  const setup = tags.FEN ? parseFen(tags.FEN, size) : null;
+
+  let state = createInitialState(setup, variant);
+  state.rules = { ...rules, ...(tags.Rules ? parseRules(tags.Rules) : {}) };
+  // the same checks as a position set up in the editor (setupProblem)
+  const problem = setup && setupProblem(setup, variant, state.rules);
+  if (problem) throw new PdnError("fenSetup", { problem });
+  const coords = n => squareCoords(n, size);
+
+  moves.forEach((move, i) => {
+    const at = { n: i + 1, move: move.squares.join(move.capture ? "x" : "-") };
+    if (state.result) throw new PdnError("afterEnd", at);
+    state = applyPdnMove(state, move.squares.map(coords), at);
+    if (state.pendingHuff && move.huff) {
+      const next = resolveHuff(state, { remove: coords(move.huff) });
+      if (!next) throw new PdnError("huffSquare", { ...at, square: move.huff });
+      state = next;
+    } else if (state.pendingHuff && i < moves.length - 1) {
+      throw new PdnError("huffMissing", at);
+    }
+  });
+  return state;
+}
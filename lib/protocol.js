@@ -0,0 +1,99 @@
+/**
+ * Socket protocol helpers: payload validation, action errors and rate limits.
+ *
+ * Every client event is acknowledged with { ok: true, ... } or
+ * { ok: false, error, message?, params? } where `error` is one of the codes
+ * below. Codes and messages are keys, not text: the client words them in its
+ * language (shared/i18n.js), filling in `params`.
+ *
+ *   BAD_REQUEST       payload does not match the event's schema
+ *   RATE_LIMITED      too many events from this connection
+ *   NOT_IN_ROOM       joinRoom has not happened (yet)
+ *   NOT_FOUND         no such room (JSON API)
+ *   ALREADY_IN_ROOM   joinRoom twice on one connection
+ *   FORBIDDEN         spectator, or not the seat allowed to do this
+ *   GAME_OVER         the game has a result
+ *   GAME_STARTED      only possible before the first move
+ *   NOT_YOUR_TURN     the other side is to move (or decides a huff)
+ *   ILLEGAL_MOVE      not a legal step / choice in this position
+ *   STALE_STATE       the action was made on an older state version
+ *   CAPTURE_REQUIRED  a capture has to be played (or continued)
+ *   NOTHING_TO_UNDO   no own move to take back
+ *   NO_REQUEST        nothing to answer
+ *   ALREADY_PENDING   an offer or request is already open
+ *   SEAT_TAKEN        a person sits there
+ *   PDN_INVALID       import failed, `message` is the PdnError key
+ *                     (lib/pdn.js) and `params` its details, or "otherRules":
+ *                     the game was played on rules the room has not agreed
+ *   SETUP_INVALID     the position cannot be played, `message` is the
+ *                     setupProblem() key (or "none": no set-up to restart)
+ *   MUTED             the room owner muted this spectator in the chat
+ *   INTERNAL          a bug on the server; it is logged there
+ */
+
+export class ActionError extends Error {
+  constructor(code, message = code, params = null) {
+    super(message);
+    this.name = "ActionError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// The { ok: false, ... } answer for an ActionError
+export function errorReply(err) {
+  return {
+    ok: false,
+    error: err.code,
+    ...(err.message !== err.code ? { message: err.message } : {}),
+    ...(err.params ? { params: err.params } : {})
+  };
+}
+
+// ---------- Schemas ----------
+// A schema maps payload keys to a spec:
+//   "string" | "boolean" | "integer" | "object" | "square" | "seat"  (suffix "?" = optional)
+//   [a, b, ...]   one of these values
+//   { ... }       nested schema
+//   fn(value)     custom check
+// Keys not in the schema are rejected.
+const TYPES = {
+  string: v => typeof v === "string",
+  boolean: v => typeof v === "boolean",
+  integer: v => Number.isInteger(v),
+  object: v => v !== null && typeof v === "object" && !Array.isArray(v),
+  square: v => v !== null && typeof v === "object" && Object.keys(v).every(k => k === "r" || k === "c") &&
+    Number.isInteger(v.r) && Number.isInteger(v.c) && v.r >= 0 && v.r < 10 && v.c >= 0 && v.c < 10,
+  seat: v => v === "white" || v === "black"
+};
+
+function matches(spec, value) {
+  if (typeof spec === "function") return spec(value);
+  if (Array.isArray(spec)) return spec.includes(value);
+  if (typeof spec === "object") return validate(spec, value);
+  const optional = spec.endsWith("?");
+  if (value === undefined) return optional;
+  return TYPES[optional ? spec.slice(0, -1) : spec](value);
+}
+
+export function validate(schema, payload) {
+  if (!TYPES.object(payload)) return false;
+  for (const key of Object.keys(payload)) if (!Object.hasOwn(schema, key)) return false;
+  return Object.entries(schema).every(([key, spec]) => matches(spec, payload[key]));
+}
+
+// ---------- Rate limiting ----------
+// Token bucket: `burst` events at once, refilled at `perSecond`.
+export function createRateLimiter({ burst = 10, perSecond = 5 } = {}) {
+  let tokens = burst;
+  let last = Date.now();
+  return {
+    take(now = Date.now()) {
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * perSecond);
+      last = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Head-to-head statistics over a room's finished games.
+ *
+ * A game record:
+ *   { startedAt, endedAt, result: { winner, reason }, plies, variant, rules, custom }
+ * winner 1 = the White seat, -1 = the Black seat, 0 = draw; `plies` counts
+ * turns of either side; `custom` = started from a set-up position.
+ */
+
+// The record of a finished game
+export function gameRecord(state, endedAt = Date.now()) {
+  return {
+    startedAt: state.startedAt,
+    endedAt,
+    result: { winner: state.result.winner, reason: state.result.reason },
+    plies: state.history.length,
+    variant: state.variant,
+    rules: { ...state.rules },
+    custom: !!state.setup
+  };
+}
+
+// Games with the same variant and rules share a key, whatever the key order
+function rulesKey(game) {
+  return JSON.stringify([game.variant, Object.keys(game.rules).sort().map(k => [k, game.rules[k]])]);
+}
+
+const SEAT = { 1: "white", "-1": "black" };
+
+/**
+ * Sums up `games` (oldest first):
+ *   score          { white, black, draws }
+ *   streak         { seat, length } of the current winning run (seat null after a draw)
+ *   longestStreak  { white, black }
+ *   averagePlies, averageDurationMs   null without games
+ *   byRules        [{ variant, rules, games, white, black, draws }], most played first
+ */
+export function summarize(games) {
+  const score = { white: 0, black: 0, draws: 0 };
+  const longestStreak = { white: 0, black: 0 };
+  let streak = { seat: null, length: 0 };
+  const groups = new Map();
+  let plies = 0, duration = 0;
+
+  for (const game of games) {
+    const seat = SEAT[game.result.winner] || null;
+    if (seat) score[seat]++;
+    else score.draws++;
+
+    streak = seat && streak.seat === seat ? { seat, length: streak.length + 1 } : { seat, length: seat ? 1 : 0 };
+    if (seat) longestStreak[seat] = Math.max(longestStreak[seat], streak.length);
+
+    plies += game.plies;
+    duration += game.endedAt - game.startedAt;
+
+    const key = rulesKey(game);
+    if (!groups.has(key)) groups.set(key, { variant: game.variant, rules: game.rules, games: 0, white: 0, black: 0, draws: 0 });
+    const group = groups.get(key);
+    group.games++;
+    group[seat || "draws"]++;
+  }
+
+  return {
+    games: games.length,
+    score,
+    streak,
+    longestStreak,
+    averagePlies: games.length ? plies / games.length : null,
+    averageDurationMs: games.length ? duration / games.length : null,
+    byRules: [...groups.values()].sort((a, b) => b.games - a.games)
+  };
+}
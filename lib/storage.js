@@ -0,0 +1,79 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Room storage.
+ *
+ * A store persists one record per room:
+ *   { id, state, tokens: { white, black }, bots, webhooks, chat, games, createdAt, lastActivity }
+ *
+ * Every backend implements the same async interface:
+ *   loadAll()            -> Promise<record[]>
+ *   save(record)         -> Promise<void>
+ *   remove(roomId)       -> Promise<void>
+ *
+ * The JSON-file backend keeps one file per room. A SQLite backend would map
+ * the same calls onto a `rooms(id PRIMARY KEY, data TEXT)` table.
+ */
+
+export function createJsonFileStore(dir) {
+  // Per-room write chains so saves of the same room never overtake each other
+  const chains = new Map();
+
+  function fileFor(roomId) { return path.join(dir, `${roomId}.json`); }
+
+  function enqueue(roomId, task) {
+    const prev = chains.get(roomId) || Promise.resolve();
+    const next = prev.then(task, task);
+    chains.set(roomId, next);
+    next.finally(() => { if (chains.get(roomId) === next) chains.delete(roomId); }).catch(() => {});
+    return next;
+  }
+
+  // Write to a temp file, flush it, then rename over the target:
+  // a crash leaves either the old or the new file, never half of one.
+  async function writeAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fh = await fs.open(tmp, "w");
+    try {
+      await fh.writeFile(data);
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    async loadAll() {
+      await fs.mkdir(dir, { recursive: true });
+      const out = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        try {
+          out.push(JSON.parse(await fs.readFile(path.join(dir, name), "utf8")));
+        } catch (err) {
+          console.error(`storage: skipping unreadable ${name}: ${err.message}`);
+        }
+      }
+      return out;
+    },
+
+    save(record) {
+      const data = JSON.stringify(record);
+      return enqueue(record.id, async () => {
+        await fs.mkdir(dir, { recursive: true });
+        await writeAtomic(fileFor(record.id), data);
+      });
+    },
+
+    remove(roomId) {
+      return enqueue(roomId, () => fs.rm(fileFor(roomId), { force: true }));
+    }
+  };
+}
+
+export function createStore(kind, options) {
+  if (kind === "json") return createJsonFileStore(options.dir);
+  throw new Error(`Unknown storage backend: ${kind}`);
+}
@@ -0,0 +1,48 @@
+/**
+ * Webhooks: a JSON POST to a URL a player gave us.
+ *
+ * Nothing may hang or hammer the receiver: every attempt has a timeout, and
+ * only failures that can pass (network errors, timeouts, 429 and 5xx
+ * answers) are tried again, with a doubling pause in between. Delivery never
+ * throws; it resolves { ok, attempts, status?, error? }.
+ */
+
+const MAX_URL_LENGTH = 500;
+
+// http(s) only, and no credentials in the URL (fetch refuses those)
+export function isWebhookUrl(value) {
+  if (typeof value !== "string" || value.length > MAX_URL_LENGTH) return false;
+  try {
+    const url = new URL(value);
+    return (url.protocol === "http:" || url.protocol === "https:") && !url.username && !url.password;
+  } catch {
+    return false;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function deliverWebhook(url, payload, { attempts = 3, timeoutMs = 5000, backoffMs = 1000 } = {}) {
+  let failure = {};
+  let tried = 0;
+  while (tried < attempts) {
+    if (tried) await sleep(backoffMs * 2 ** (tried - 1));
+    tried++;
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", "user-agent": "dame-live" },
+        body: JSON.stringify(payload),
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await res.body?.cancel(); // the answer is not read
+      if (res.ok) return { ok: true, attempts: tried, status: res.status };
+      failure = { status: res.status };
+      if (res.status !== 429 && res.status < 500) break; // refused: asking again will not help
+    } catch (err) {
+      failure = { error: err.name === "TimeoutError" ? "timeout" : err.message };
+    }
+  }
+  return { ok: false, attempts: tried, ...failure };
+}
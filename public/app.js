@@ -1,43 +1,194 @@
-const socket = io();
+import {
+  VARIANTS, anyCaptureAvailable, createInitialState, endCapture, isKing, isLegalStep, listCapturesForPiece,
+  listMovesForPiece, playStep, replayPositions, resolveHuff, setupProblem, sign, variantRules
+} from "/shared/engine.js";
+import { clockRemaining } from "/shared/clock.js";
+import { createHotseat, seatToMove } from "/shared/hotseat.js";
+import { CHAT_MAX_LENGTH, REACTIONS, reactionsByPly } from "/shared/chat.js";
+import { LANGUAGES, detectLanguage, hasMessage, translate } from "/shared/i18n.js";
 
-const FIXED_ROOM = "chris-sandrina";
+// #local: hot-seat on this device, the game runs in the browser (no server needed)
+const LOCAL = location.hash === "#local";
+const socket = LOCAL ? createHotseat(localStorage) : io();
+document.body.classList.toggle("local", LOCAL);
+
+if ("serviceWorker" in navigator) navigator.serviceWorker.register("/sw.js").catch(() => {});
+
+// --- language: the one chosen here before, else the browser's (shared/i18n.js) ---
+let lang = detectLanguage(localStorage.getItem("dameLang"), navigator.languages || [navigator.language]);
+
+function t(key, params){ return translate(lang, key, params); }
+function seatName(seat){ return t(`seat.${seat}`); }
+function sideName(side){ return seatName(side === 1 ? "white" : "black"); }
+
+// the page's fixed texts: data-i18n (text), data-i18n-title, data-i18n-placeholder
+function translatePage(){
+  document.documentElement.lang = lang;
+  for (const el of document.querySelectorAll("[data-i18n]")) el.textContent = t(el.dataset.i18n);
+  for (const el of document.querySelectorAll("[data-i18n-title]")) el.title = t(el.dataset.i18nTitle);
+  for (const el of document.querySelectorAll("[data-i18n-placeholder]")) el.placeholder = t(el.dataset.i18nPlaceholder);
+}
+
+// --- actions: every emit is acknowledged with { ok } or { ok: false, error } ---
+// error codes are keys, and so are the messages that explain them (a
+// set-up problem in the params, too)
+const MESSAGE_KEYS = { SETUP_INVALID: "setup", PDN_INVALID: "pdn" };
+
+function showError({ error, message, params }){
+  if (params?.problem && hasMessage(`setup.${params.problem}`)) params = { ...params, problem: t(`setup.${params.problem}`) };
+  const text = hasMessage(`error.${error}`) ? t(`error.${error}`) : t("error.unknown", { error });
+  const detail = MESSAGE_KEYS[error] && hasMessage(`${MESSAGE_KEYS[error]}.${message}`)
+    ? t(`${MESSAGE_KEYS[error]}.${message}`, params) : message;
+  elHint.textContent = detail ? `${text}: ${detail}` : text;
+  elHint.classList.add("error");
+}
+
+// while offline nothing is queued: the new connection joins first, then acts
+let offline = false;
+
+function send(event, payload = {}, onOk, onFail){
+  if (offline){
+    onFail?.();
+    return showError({ error: "OFFLINE" });
+  }
+  socket.emit(event, { roomId, ...payload }, (res) => {
+    if (!res?.ok){
+      if (res?.error === "STALE_STATE") resync();
+      onFail?.(res);
+      return showError(res || { error: "BAD_REQUEST" });
+    }
+    onOk?.(res);
+  });
+}
+
+const DEFAULT_ROOM = "chris-sandrina";
 
 const elBoard = document.getElementById("board");
+const elNotice = document.getElementById("notice");
+const soundToggle = document.getElementById("soundToggle");
+const notifyToggle = document.getElementById("notifyToggle");
+const elNotifyLabel = document.getElementById("notifyLabel");
+const elFavicon = document.getElementById("favicon");
 const elStatus = document.getElementById("status");
 const elPresence = document.getElementById("presence");
+const elConnection = document.getElementById("connection");
+const elBotBox = document.getElementById("botBox");
+const elBotSeats = document.getElementById("botSeats");
+const botLevel = document.getElementById("botLevel");
 const elRoomInfo = document.getElementById("roomInfo");
 const elHint = document.getElementById("hint");
 const resetBtn = document.getElementById("resetBtn");
+const resetSetupBtn = document.getElementById("resetSetupBtn");
+const endTurnBtn = document.getElementById("endTurnBtn");
+const forceCaptureBtn = document.getElementById("forceCaptureBtn");
+const rVariant = document.getElementById("r_variant");
+const takebackBtn = document.getElementById("takebackBtn");
+const elTakeback = document.getElementById("takeback");
+const elTakebackText = document.getElementById("takebackText");
+const takebackAcceptBtn = document.getElementById("takebackAcceptBtn");
+const takebackDeclineBtn = document.getElementById("takebackDeclineBtn");
+const elRulesProposal = document.getElementById("rulesProposal");
+const elRulesProposalText = document.getElementById("rulesProposalText");
+const rulesAcceptBtn = document.getElementById("rulesAcceptBtn");
+const rulesDeclineBtn = document.getElementById("rulesDeclineBtn");
+const drawBtn = document.getElementById("drawBtn");
+const resignBtn = document.getElementById("resignBtn");
+const elDrawOffer = document.getElementById("drawOffer");
+const elDrawOfferText = document.getElementById("drawOfferText");
+const drawAcceptBtn = document.getElementById("drawAcceptBtn");
+const drawDeclineBtn = document.getElementById("drawDeclineBtn");
+const elMoveList = document.getElementById("moveList");
+const pdnExport = document.getElementById("pdnExport");
+const elPdnImport = document.getElementById("pdnImport");
+const pdnText = document.getElementById("pdnText");
+const pdnFile = document.getElementById("pdnFile");
+const pdnImportBtn = document.getElementById("pdnImportBtn");
 
 const rulesBox = document.getElementById("rulesBox");
 const saveRulesBtn = document.getElementById("saveRulesBtn");
+const saveTimeBtn = document.getElementById("saveTimeBtn");
+const timeType = document.getElementById("t_type");
+const elClocks = document.getElementById("clocks");
+const elClockWhite = document.getElementById("clockWhite");
+const elClockBlack = document.getElementById("clockBlack");
+
+const newGameBtn = document.getElementById("newGameBtn");
+const linkWhite = document.getElementById("linkWhite");
+const linkBlack = document.getElementById("linkBlack");
+const releaseSeatBtn = document.getElementById("releaseSeatBtn");
+const elLobby = document.getElementById("lobby");
+const elStatsBox = document.getElementById("statsBox");
+const elStats = document.getElementById("stats");
+const elReactionBar = document.getElementById("reactionBar");
+const elChatList = document.getElementById("chatList");
+const chatForm = document.getElementById("chatForm");
+const chatInput = document.getElementById("chatInput");
+const chatClearBtn = document.getElementById("chatClearBtn");
+const hideSpectatorsToggle = document.getElementById("hideSpectators");
+const elWebhookBox = document.getElementById("webhookBox");
+const webhookUrl = document.getElementById("webhookUrl");
+const webhookSaveBtn = document.getElementById("webhookSaveBtn");
+const webhookClearBtn = document.getElementById("webhookClearBtn");
+const hotseatLink = document.getElementById("hotseatLink");
+const langSelect = document.getElementById("langSelect");
+const replayFirstBtn = document.getElementById("replayFirstBtn");
+const replayPrevBtn = document.getElementById("replayPrevBtn");
+const replayPlayBtn = document.getElementById("replayPlayBtn");
+const replayNextBtn = document.getElementById("replayNextBtn");
+const replayLastBtn = document.getElementById("replayLastBtn");
+const analysisBtn = document.getElementById("analysisBtn");
+const elReplayInfo = document.getElementById("replayInfo");
+const editorBtn = document.getElementById("editorBtn");
+const elEditorBox = document.getElementById("editorBox");
+const elPalette = document.getElementById("palette");
+const editorTurn = document.getElementById("editorTurn");
+const elEditorProblem = document.getElementById("editorProblem");
+const editorPlayBtn = document.getElementById("editorPlayBtn");
 
-const linkChris = document.getElementById("linkChris");
-const linkSandrina = document.getElementById("linkSandrina");
+if (LOCAL){
+  hotseatLink.dataset.i18n = "header.playOnline";
+  hotseatLink.href = "/";
+}
+
+for (const [code, name] of Object.entries(LANGUAGES)) langSelect.add(new Option(name, code));
+langSelect.value = lang;
+translatePage();
 
 function getParams() {
+  if (LOCAL) return { roomId: "local", seat: null, token: null };
   const hash = location.hash.replace(/^#/, "");
   const params = new URLSearchParams(hash);
 
   const seat = params.get("seat"); // white|black|null
+  const room = /^[A-Za-z0-9_-]{1,64}$/.test(params.get("room") || "") ? params.get("room") : DEFAULT_ROOM;
+  const token = params.get("token");
 
-  // always fixed room
-  params.set("room", FIXED_ROOM);
+  params.set("room", room);
   if (seat) params.set("seat", seat);
+  params.delete("token"); // kept in localStorage, not in the address bar
 
-  // keep hash tidy
-  location.hash = params.toString();
+  // keep hash tidy (without triggering hashchange)
+  history.replaceState(null, "", `#${params.toString()}`);
 
-  return { roomId: FIXED_ROOM, seat };
+  return { roomId: room, seat, token };
 }
 
-const { roomId, seat } = getParams();
+// --- seat tokens: the secret from the private link, remembered per room and seat ---
+function tokenKey(room, s){ return `dameSeat:${room}:${s}`; }
+function storedToken(room, s){ return localStorage.getItem(tokenKey(room, s)); }
+function storeToken(room, s, token){ localStorage.setItem(tokenKey(room, s), token); }
+function forgetToken(room, s){ localStorage.removeItem(tokenKey(room, s)); }
 
-let clientId = localStorage.getItem("dameClientId");
-if (!clientId) {
-  clientId = crypto.randomUUID();
-  localStorage.setItem("dameClientId", clientId);
-}
+const { roomId, seat, token: linkToken } = getParams();
+if (linkToken && (seat === "white" || seat === "black")) storeToken(roomId, seat, linkToken);
+
+// switching rooms via link/lobby: start over with a fresh connection
+window.addEventListener("hashchange", () => location.reload());
+
+// the seat we try to take: the one in the link, else one we have a token for
+const joinSeat = (seat === "white" || seat === "black") ? seat
+  : ["white", "black"].find(s => storedToken(roomId, s)) || null;
+let seatTokens = {}; // tokens the server showed us: both for the owner, our own for black
 
 let role = "spectator"; // white|black|spectator
 let state = null;
@@ -46,259 +197,1378 @@ let selected = null;
 let legalTargets = new Set();
 
 function key(rc){ return `${rc.r},${rc.c}`; }
-function sign(piece){ return piece===0?0:(piece>0?1:-1); }
-function isKing(piece){ return Math.abs(piece)===2; }
-function inBounds(r,c){ return r>=0 && r<8 && c>=0 && c<8; }
-function forwardDir(side){ return side===1 ? -1 : +1; }
-
-// --- client-side helpers (for highlighting only) ---
-function listManMoves(board,r,c,side){
-  const dr = forwardDir(side);
-  const out = [];
-  for (const dc of [-1,+1]){
-    const r1=r+dr, c1=c+dc;
-    if (inBounds(r1,c1) && board[r1][c1]===0) out.push({to:{r:r1,c:c1}});
-  }
-  return out;
-}
-function listManCaptures(board,r,c,side,allowBackward){
-  const drs = allowBackward ? [-1,+1] : [forwardDir(side)];
-  const out = [];
-  for (const dr of drs){
-    for (const dc of [-1,+1]){
-      const r1=r+dr, c1=c+dc;
-      const r2=r+2*dr, c2=c+2*dc;
-      if (!inBounds(r2,c2)) continue;
-      const mid = board[r1]?.[c1];
-      if (mid && sign(mid)===-side && board[r2][c2]===0) out.push({to:{r:r2,c:c2}});
-    }
+
+// --- what the board shows: the live game, or a position of the replay/analysis line ---
+let view = null; // null = live, else { line: [states], ply, mode: replay|analysis|editor, from, timer }
+
+function shown(){ return view ? view.line[view.ply] : state; }
+
+// who may move on the board: my seat live, both sides in the analysis, nobody in the replay
+function boardSide(){
+  if (view) return view.mode === "analysis" ? shown().turn : 0;
+  return role==="white" ? 1 : role==="black" ? -1 : 0;
+}
+
+function computeLegalTargets(r,c){
+  legalTargets.clear();
+  const s = shown();
+  if (!s) return;
+
+  const piece = s.board[r][c];
+  const side = boardSide();
+  if (!side) return;
+  if (s.result || s.pendingHuff) return;
+  if (s.turn !== side) return;
+  if (sign(piece) !== side) return;
+
+  const rules = s.rules;
+  const caps = listCapturesForPiece(s.board, r, c, rules);
+  const moves = listMovesForPiece(s.board, r, c, rules);
+
+  // the engine decides: continuing piece only, captures only, longest
+  // captures only... (a skipped capture stays selectable when it is penalised)
+  for (const x of [...caps, ...moves]){
+    if (isLegalStep(s, { r, c }, x.to)) legalTargets.add(key(x.to));
   }
-  return out;
 }
-function listKingMoves(board,r,c,flying){
-  const out = [];
-  if (!flying){
-    for (const dr of [-1,+1]) for (const dc of [-1,+1]){
-      const rr=r+dr, cc=c+dc;
-      if (inBounds(rr,cc) && board[rr][cc]===0) out.push({to:{r:rr,c:cc}});
-    }
-    return out;
-  }
-  for (const dr of [-1,+1]){
-    for (const dc of [-1,+1]){
-      let rr=r+dr, cc=c+dc;
-      while (inBounds(rr,cc) && board[rr][cc]===0){
-        out.push({to:{r:rr,c:cc}});
-        rr+=dr; cc+=dc;
-      }
-    }
+
+function myPendingCapture(){
+  const s = shown();
+  if (!s || s.result || !s.pendingCapture) return null;
+  const side = boardSide();
+  return (side && s.turn===side) ? s.pendingCapture : null;
+}
+
+// huff penalty: the opponent skipped a capture and I decide
+function myHuffDecision(){
+  const s = shown();
+  if (!s || s.result || !s.pendingHuff) return null;
+  const side = boardSide();
+  return (side && s.turn===side) ? s.pendingHuff : null;
+}
+
+function isHuffCandidate(r,c){
+  const s = shown();
+  return !!s.pendingHuff && s.pendingHuff.candidates.some(p => p.r===r && p.c===c);
+}
+
+// --- actions on the board: sent to the room, or played on the analysis board ---
+function playAnalysis(next){
+  if (!next) return;
+  const prev = shown();
+  view.line = [...view.line.slice(0, view.ply + 1), next];
+  view.ply++;
+  resetSelection();
+  render();
+  showDelta(moveDelta(prev, next));
+}
+
+function moveOnBoard(from, to, onFail){
+  if (view) return playAnalysis(playStep(shown(), { from, to }));
+  send("makeMove", { from, to, version: state.version }, null, onFail);
+}
+
+function decideHuffOnBoard(choice){
+  if (view) return playAnalysis(resolveHuff(shown(), choice));
+  send("decideHuff", { ...choice, version: state.version });
+}
+
+function endCaptureOnBoard(){
+  if (view) return playAnalysis(endCapture(shown()));
+  send("endCapture", { version: state.version });
+}
+
+// --- move list ---
+function squareName(rc){ return `${"abcdefghij"[rc.c]}${state.board.length-rc.r}`; }
+
+function moveText(m){
+  const sep = m.captured.length ? "x" : "-";
+  return m.path.map(squareName).join(sep) + (m.crowned ? ` ${t("piece.kingMark")}` : "") + (m.penaltyRemoved ? " ✖" : "") + (m.huffed ? squareName(m.huffed) : "");
+}
+
+function renderMoveList(){
+  const history = state.history || [];
+  elMoveList.innerHTML = "";
+  if (!history.length){
+    elMoveList.textContent = t("moves.none");
+    return;
   }
-  return out;
-}
-function listKingCaptures(board,r,c,side,flyingCap){
-  const out = [];
-  if (!flyingCap){
-    for (const dr of [-1,+1]) for (const dc of [-1,+1]){
-      const r1=r+dr, c1=c+dc;
-      const r2=r+2*dr, c2=c+2*dc;
-      if (!inBounds(r2,c2)) continue;
-      const mid = board[r1]?.[c1];
-      if (mid && sign(mid)===-side && board[r2][c2]===0) out.push({to:{r:r2,c:c2}});
+  const reactions = reactionsByPly(chat.messages, state.startedAt);
+  // one row per move number, as in the PDN: the side that moves first in the
+  // variant, then the other (Black first in English checkers)
+  const { firstTurn } = VARIANTS[state.variant] || VARIANTS.german;
+  let row = null, n = 0, plies = 0;
+  for (const m of history){
+    if (!row || m.side === firstTurn || row.children.length === 3){
+      row = document.createElement("div");
+      row.className = "moveRow";
+      const num = document.createElement("span");
+      num.className = "moveNum";
+      num.textContent = `${++n}.`;
+      row.appendChild(num);
+      if (m.side !== firstTurn) row.appendChild(document.createElement("span")); // a set-up position, the other side to move
+      elMoveList.appendChild(row);
     }
-    return out;
-  }
-  for (const dr of [-1,+1]){
-    for (const dc of [-1,+1]){
-      let rr=r+dr, cc=c+dc;
-      let seenEnemy=null;
-      while (inBounds(rr,cc)){
-        const cell = board[rr][cc];
-        if (cell===0){
-          if (seenEnemy) out.push({to:{r:rr,c:cc}});
-          rr+=dr; cc+=dc;
-          continue;
-        }
-        const s = sign(cell);
-        if (s===side) break;
-        if (s===-side){
-          if (seenEnemy) break;
-          seenEnemy={r:rr,c:cc};
-          rr+=dr; cc+=dc;
-          continue;
-        }
-        break;
-      }
+    const ply = ++plies;
+    const cell = document.createElement("span");
+    cell.className = "moveCell" + (view?.mode === "replay" && view.ply === ply ? " current" : "");
+    cell.textContent = moveText(m);
+    cell.title = t("moves.view");
+    cell.addEventListener("click", () => replayTo(ply));
+    for (const [emoji, count] of Object.entries(reactions.get(ply - 1) || {})){
+      const badge = document.createElement("span");
+      badge.className = "reactionCount";
+      badge.textContent = count > 1 ? `${emoji}${count}` : emoji;
+      cell.appendChild(badge);
     }
+    row.appendChild(cell);
   }
-  return out;
-}
-function listMovesForPiece(board,r,c,rules){
-  const piece = board[r][c];
-  if (!piece) return [];
-  const side = sign(piece);
-  return isKing(piece) ? listKingMoves(board,r,c,rules.flyingKingMove) : listManMoves(board,r,c,side);
-}
-function listCapturesForPiece(board,r,c,rules){
-  const piece = board[r][c];
-  if (!piece) return [];
-  const side = sign(piece);
-  return isKing(piece) ? listKingCaptures(board,r,c,side,rules.flyingKingCapture)
-                       : listManCaptures(board,r,c,side,rules.menBackwardCapture);
+  if (!view) elMoveList.scrollTop = elMoveList.scrollHeight;
 }
-function anyCaptureAvailable(board, side, rules){
-  for (let r=0;r<8;r++) for (let c=0;c<8;c++){
-    if (sign(board[r][c])===side && listCapturesForPiece(board,r,c,rules).length) return true;
+
+function renderTakeback(){
+  const req = state.takebackRequest;
+  const mySide = role==="white" ? 1 : role==="black" ? -1 : 0;
+  // hot-seat: the last turn is undone, whoever played it
+  const hasMyMove = (state.history || []).some(m => m.side === mySide || LOCAL);
+
+  takebackBtn.classList.toggle("hidden", !mySide);
+  takebackBtn.disabled = !!req || !hasMyMove;
+
+  if (!req || !mySide){
+    elTakeback.classList.add("hidden");
+    return;
   }
-  return false;
+  elTakeback.classList.remove("hidden");
+  const mine = req === role;
+  elTakebackText.textContent = mine ? t("takeback.waiting") : t("takeback.asks", { seat: seatName(req) });
+  takebackAcceptBtn.classList.toggle("hidden", mine);
+  takebackDeclineBtn.classList.toggle("hidden", mine);
 }
 
-function computeLegalTargets(r,c){
-  legalTargets.clear();
-  if (!state) return;
+// --- results, draws, resignation ---
+function resultText(result){
+  const reason = hasMessage(`reason.${result.reason}`) ? t(`reason.${result.reason}`) : result.reason;
+  if (!result.winner) return t("result.draw", { reason });
+  return t("result.win", { seat: sideName(result.winner), reason });
+}
 
-  const piece = state.board[r][c];
-  const side = role==="white" ? 1 : role==="black" ? -1 : 0;
-  if (!side) return;
-  if (state.winner) return;
-  if (state.turn !== side) return;
-  if (sign(piece) !== side) return;
+function renderDrawOffer(){
+  const offer = state.drawOffer;
+  const playing = role !== "spectator" && !state.result;
 
-  const rules = state.rules;
-  const caps = listCapturesForPiece(state.board, r, c, rules);
-  const moves = listMovesForPiece(state.board, r, c, rules);
+  drawBtn.classList.toggle("hidden", !playing);
+  resignBtn.classList.toggle("hidden", !playing);
+  drawBtn.disabled = !!offer;
 
-  // highlight both (server decides penalty if skipping capture)
-  for (const x of [...caps, ...moves]) legalTargets.add(key(x.to));
+  if (!offer || role === "spectator"){
+    elDrawOffer.classList.add("hidden");
+    return;
+  }
+  elDrawOffer.classList.remove("hidden");
+  const mine = offer === role;
+  elDrawOfferText.textContent = mine ? t("draw.waiting") : t("draw.offers", { seat: seatName(offer) });
+  drawAcceptBtn.classList.toggle("hidden", mine);
+  drawDeclineBtn.classList.toggle("hidden", mine);
 }
 
+function variantName(variant){ return hasMessage(`variant.${variant}`) ? t(`variant.${variant}`) : variant; }
+
 function setRulesUI(rules){
   document.getElementById("r_mustCapture").checked = !!rules.mustCapture;
   document.getElementById("r_penalty").checked = !!rules.skipCapturePenaltyRemoveMoved;
+  document.getElementById("r_penaltyMode").value = rules.penaltyMode || "removeMoved";
   document.getElementById("r_multi").value = rules.multiCapture === "forced" ? "forced" : "optional";
   document.getElementById("r_flyMove").checked = !!rules.flyingKingMove;
   document.getElementById("r_flyCap").checked = !!rules.flyingKingCapture;
   document.getElementById("r_backCap").value = rules.menBackwardCapture ? "all" : "kingOnly";
+  document.getElementById("r_promotion").value = rules.promotion || "stop";
+  document.getElementById("r_maxCapture").checked = !!rules.maxCapture;
+  document.getElementById("r_repetition").checked = !!rules.repetitionDraw;
+  document.getElementById("r_kingMoves").value = rules.kingMovesDraw ?? 0;
 }
 
 function getRulesFromUI(){
   return {
     mustCapture: document.getElementById("r_mustCapture").checked,
     skipCapturePenaltyRemoveMoved: document.getElementById("r_penalty").checked,
+    penaltyMode: document.getElementById("r_penaltyMode").value, // removeMoved|huff|strict
     multiCapture: document.getElementById("r_multi").value, // optional|forced
     flyingKingMove: document.getElementById("r_flyMove").checked,
     flyingKingCapture: document.getElementById("r_flyCap").checked,
-    menBackwardCapture: (document.getElementById("r_backCap").value === "all")
+    menBackwardCapture: (document.getElementById("r_backCap").value === "all"),
+    promotion: document.getElementById("r_promotion").value, // stop|continue|pass
+    maxCapture: document.getElementById("r_maxCapture").checked,
+    repetitionDraw: document.getElementById("r_repetition").checked,
+    kingMovesDraw: Number(document.getElementById("r_kingMoves").value) || 0
   };
 }
 
+// the input behind each rule, to mark what a proposal changes
+const RULE_INPUTS = {
+  mustCapture: "r_mustCapture", skipCapturePenaltyRemoveMoved: "r_penalty", penaltyMode: "r_penaltyMode",
+  multiCapture: "r_multi", flyingKingMove: "r_flyMove", flyingKingCapture: "r_flyCap",
+  menBackwardCapture: "r_backCap", promotion: "r_promotion", maxCapture: "r_maxCapture",
+  repetitionDraw: "r_repetition", kingMovesDraw: "r_kingMoves"
+};
+
+// The form shows the open proposal (changes marked), else the rules in force
+function renderRules(){
+  const proposal = state.rulesProposal;
+  const shown = proposal || { variant: state.variant, rules: state.rules };
+  rVariant.value = shown.variant;
+  setRulesUI(shown.rules);
+  rVariant.closest("label").classList.toggle("changed", shown.variant !== state.variant);
+  for (const [key, id] of Object.entries(RULE_INPUTS)){
+    document.getElementById(id).closest("label").classList.toggle("changed", shown.rules[key] !== state.rules[key]);
+  }
+
+  const started = state.history.length > 0 || !!state.result;
+  saveRulesBtn.textContent = LOCAL
+    ? t(started ? "rules.applyNew" : "rules.apply")
+    : t(started ? "rules.proposeNew" : "rules.propose");
+
+  if (!proposal){
+    elRulesProposal.classList.add("hidden");
+    return;
+  }
+  elRulesProposal.classList.remove("hidden");
+  const mine = proposal.by === role;
+  elRulesProposalText.textContent = (mine ? t("rules.waiting") : t("rules.proposes", { seat: seatName(proposal.by) }))
+    + (started ? ` ${t("rules.startsNew")}` : "");
+  rulesAcceptBtn.classList.toggle("hidden", mine);
+  rulesDeclineBtn.textContent = t(mine ? "action.withdraw" : "action.decline");
+}
+
 saveRulesBtn?.addEventListener("click", () => {
   if (!state) return;
-  socket.emit("updateRules", { roomId, rules: getRulesFromUI() });
+  send("proposeRules", { rules: getRulesFromUI(), variant: rVariant.value });
+});
+
+rulesAcceptBtn?.addEventListener("click", () => {
+  send("answerRules", { accept: true });
+});
+
+rulesDeclineBtn?.addEventListener("click", () => {
+  send("answerRules", { accept: false });
+});
+
+// picking a variant fills in its preset; Vorschlagen sends it
+rVariant?.addEventListener("change", () => {
+  const { repetitionDraw, kingMovesDraw } = getRulesFromUI();
+  setRulesUI({ ...variantRules(rVariant.value), repetitionDraw, kingMovesDraw });
+});
+
+// --- clocks ---
+let serverOffset = 0; // server time - local time
+
+function syncServerTime(now){
+  if (Number.isFinite(now)) serverOffset = now - Date.now();
+}
+
+function formatClock(ms){
+  ms = Math.max(0, ms);
+  const totalSec = Math.ceil(ms / 1000);
+  const h = Math.floor(totalSec / 3600), m = Math.floor(totalSec / 60) % 60, sec = totalSec % 60;
+  if (h >= 24) return `${Math.floor(h/24)}d ${h%24}h`;
+  if (h) return `${h}h ${String(m).padStart(2,"0")}m`;
+  return `${String(m).padStart(2,"0")}:${String(sec).padStart(2,"0")}`;
+}
+
+function renderClocks(){
+  const clock = state?.clock;
+  elClocks.classList.toggle("hidden", !clock);
+  if (!clock) return;
+  const now = Date.now() + serverOffset;
+  for (const [side, el] of [[1, elClockWhite], [-1, elClockBlack]]){
+    const ms = clockRemaining(clock, state.turn, side, now);
+    el.textContent = `${sideName(side)} ${formatClock(ms)}`;
+    el.classList.toggle("running", clock.runningSince !== null && state.turn === side);
+    el.classList.toggle("low", ms < 30 * 1000 && clock.control.type !== "correspondence");
+  }
+}
+
+setInterval(renderClocks, 250);
+
+function setTimeUI(clock){
+  const c = clock?.control;
+  timeType.value = c ? c.type : "";
+  if (c?.baseMs) document.getElementById("t_base").value = Math.round(c.baseMs / 60000);
+  if (c?.type === "fischer") document.getElementById("t_inc").value = Math.round(c.incrementMs / 1000);
+  if (c?.perMoveMs) document.getElementById("t_hours").value = Math.round(c.perMoveMs / 3600000);
+  updateTimeRows();
+
+  // the time control is the owner's, and fixed once the game has started
+  const started = (state.history || []).length > 0;
+  for (const el of rulesBox.querySelectorAll("#t_type, #t_base, #t_inc, #t_hours, #saveTimeBtn")) el.disabled = started || (role !== "white" && !LOCAL);
+}
+
+function updateTimeRows(){
+  const type = timeType.value;
+  document.getElementById("t_baseRow").classList.toggle("hidden", type !== "suddenDeath" && type !== "fischer");
+  document.getElementById("t_incRow").classList.toggle("hidden", type !== "fischer");
+  document.getElementById("t_hoursRow").classList.toggle("hidden", type !== "correspondence");
+}
+
+function getTimeControlFromUI(){
+  const type = timeType.value;
+  const num = id => Number(document.getElementById(id).value);
+  if (type === "suddenDeath") return { type, baseMs: num("t_base") * 60000 };
+  if (type === "fischer") return { type, baseMs: num("t_base") * 60000, incrementMs: num("t_inc") * 1000 };
+  if (type === "correspondence") return { type, perMoveMs: num("t_hours") * 3600000 };
+  return null;
+}
+
+timeType?.addEventListener("change", updateTimeRows);
+
+saveTimeBtn?.addEventListener("click", () => {
+  if (!state) return;
+  send("setTimeControl", { control: getTimeControlFromUI() });
 });
 
 function render(){
   if (!state) return;
 
-  // show permanent links
-  const base = `${location.origin}`;
-  linkChris.textContent = `${base}/chris  (oder ${base}/#seat=white)`;
-  linkSandrina.textContent = `${base}/sandrina  (oder ${base}/#seat=black)`;
+  renderSeatLinks();
 
-  elRoomInfo.textContent = `Raum: ${roomId} • Du: ${role.toUpperCase()}`;
+  elRoomInfo.textContent = LOCAL ? t("header.local") : t("header.room", { room: roomId, role: t(`role.${role}`) });
 
-  if (state.winner){
-    elStatus.textContent = state.winner === 1 ? "Weiß gewinnt 🎉" : "Schwarz gewinnt 🎉";
+  if (state.result){
+    elStatus.textContent = resultText(state.result);
   } else {
-    const turnTxt = state.turn === 1 ? "Weiß" : "Schwarz";
     const side = role==="white" ? 1 : role==="black" ? -1 : 0;
-    elStatus.textContent = `${turnTxt} ist am Zug${(side && state.turn===side) ? " (DU)" : ""}`;
+    elStatus.textContent = t((side && state.turn===side && !LOCAL) ? "status.yourTurn" : "status.turn", { seat: sideName(state.turn) });
   }
 
-  if (role === "white"){
+  if (role !== "spectator"){
     rulesBox.classList.remove("hidden");
-    setRulesUI(state.rules);
+    renderRules();
+    setTimeUI(state.clock);
   } else {
     rulesBox.classList.add("hidden");
+    elRulesProposal.classList.add("hidden");
   }
 
-  if (role !== "spectator"){
+  const pending = myPendingCapture();
+  endTurnBtn.classList.toggle("hidden", !(pending && shown().rules.multiCapture !== "forced"));
+  const huff = myHuffDecision();
+  forceCaptureBtn.classList.toggle("hidden", !huff);
+  elHint.classList.remove("error");
+
+  if (huff){
+    elHint.textContent = t("hint.huff");
+  } else if (pending){
+    elHint.textContent = t(shown().rules.multiCapture === "forced" ? "hint.continueForced" : "hint.continueOptional");
+  } else if (view){
+    elHint.textContent = t(`hint.${view.mode}`);
+  } else if (state.pendingHuff && !state.result){
+    elHint.textContent = t("hint.huffWaiting");
+  } else if (role !== "spectator"){
     const side = role==="white" ? 1 : -1;
     const capAvail = anyCaptureAvailable(state.board, side, state.rules);
-    elHint.textContent = (state.rules.mustCapture && capAvail)
-      ? (state.rules.skipCapturePenaltyRemoveMoved
-          ? "Schlag ist möglich: Wenn du NICHT schlägst, fliegt der gezogene Stein raus."
-          : "Schlag ist möglich: Du darfst trotzdem ziehen (keine Strafe).")
-      : "Tippe eine Figur an, dann ein Ziel.";
+    elHint.textContent = t((state.captureRequired && state.turn===side)
+      ? "hint.captureInsisted"
+      : (state.rules.mustCapture && capAvail)
+      ? (!state.rules.skipCapturePenaltyRemoveMoved
+          ? "hint.captureFree"
+          : state.rules.penaltyMode === "strict"
+          ? (state.rules.maxCapture ? "hint.strictMax" : "hint.strict")
+          : state.rules.penaltyMode === "huff"
+          ? "hint.huffRisk"
+          : "hint.removeRisk")
+      : "hint.play");
   } else {
-    elHint.textContent = "Du bist Zuschauer. Öffne /chris oder /sandrina.";
+    elHint.textContent = t("hint.spectator");
   }
 
+  renderClocks();
+  renderMoveList();
+  renderReactionBar();
+  renderReplay();
+  renderEditor();
+  renderTakeback();
+  renderDrawOffer();
+  pdnExport.href = `/api/rooms/${encodeURIComponent(roomId)}/pdn`;
+  elPdnImport.classList.toggle("hidden", role === "spectator");
+
+  renderBoard();
+}
+
+// --- board ---
+// Black sits at the top of the position, so their board is turned around
+function flipped(){ return role === "black" && !LOCAL; }
+
+function pieceEl(piece){
+  const p = document.createElement("div");
+  p.className = "piece " + (piece>0 ? "white" : "black") + (isKing(piece) ? " king" : "");
+  p.textContent = isKing(piece) ? t("piece.kingMark") : "";
+  return p;
+}
+
+function squareEl(rc){ return elBoard.querySelector(`.sq[data-r="${rc.r}"][data-c="${rc.c}"]`); }
+
+const same = (a, b) => !!a && !!b && a.r===b.r && a.c===b.c;
+
+function renderBoard(){
+  const s = shown();
+  const size = s.board.length;
+  const last = s.lastMove;
+  const order = [...Array(size).keys()];
+  if (flipped()) order.reverse();
+
   elBoard.innerHTML = "";
-  for (let r=0;r<8;r++){
-    for (let c=0;c<8;c++){
+  elBoard.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+  for (const r of order){
+    for (const c of order){
       const sq = document.createElement("div");
       sq.className = "sq " + (((r+c)%2===0) ? "light" : "dark");
       sq.dataset.r = r;
       sq.dataset.c = c;
+      const at = { r, c };
 
-      if (selected && selected.r===r && selected.c===c) sq.classList.add("select");
-      if (legalTargets.has(`${r},${c}`)) sq.classList.add("move");
-
-      const piece = state.board[r][c];
-      if (piece !== 0){
-        const p = document.createElement("div");
-        p.className = "piece " + (piece>0 ? "white" : "black") + (isKing(piece) ? " king" : "");
-        p.textContent = isKing(piece) ? "D" : "";
-        sq.appendChild(p);
+      if (same(selected, at)) sq.classList.add("select");
+      if (same(s.pendingCapture, at)) sq.classList.add("chain");
+      if (isHuffCandidate(r,c)) sq.classList.add("huff");
+      if (legalTargets.has(key(at))) sq.classList.add("move");
+      if (last){
+        if (same(last.from, at)) sq.classList.add("lastFrom");
+        if (same(last.to, at)) sq.classList.add("lastTo");
+        if (last.captured.some(p => same(p, at))) sq.classList.add("captured");
+        if (last.penaltyRemoved && same(last.huffed || last.to, at)) sq.classList.add("penalty");
       }
 
-      sq.addEventListener("click", onSquareClick);
+      const piece = s.board[r][c];
+      if (piece !== 0) sq.appendChild(pieceEl(piece));
       elBoard.appendChild(sq);
     }
   }
 }
 
-function onSquareClick(e){
-  if (!state || state.winner) return;
-  const r = Number(e.currentTarget.dataset.r);
-  const c = Number(e.currentTarget.dataset.c);
+// --- move animation ---
+const STEP_MS = 220;
+
+// What is new in `next` compared to `prev`: the squares the piece went
+// through since, whether it jumped, the pieces that left the board (all
+// jumped pieces go once the sequence ends) and a piece removed as a penalty. null
+// when there is nothing to show step by step (takeback, reset, resync).
+function moveDelta(prev, next){
+  const m = next.lastMove, p = prev?.lastMove;
+  if (!prev || !m || prev.board.length !== next.board.length) return null;
+
+  // the same turn went on: another jump, or the huff was decided
+  const sameTurn = !!p && next.history.length === prev.history.length && same(p.from, m.from) && p.path.length <= m.path.length;
+  if (!sameTurn && next.history.length !== prev.history.length + 1) return null;
+  const start = sameTurn ? p.path.length - 1 : 0;
+  const removedNow = m.penaltyRemoved && !(sameTurn && p.penaltyRemoved);
+  if (sameTurn && start === m.path.length - 1 && !removedNow) return null;
+
+  const path = m.path.slice(start);
+  const removed = removedNow ? (m.huffed || m.to) : null;
+  return {
+    side: m.side,
+    path,
+    piece: prev.board[path[0].r][path[0].c],
+    jumped: m.captured.length > (sameTurn ? p.captured.length : 0),
+    captured: m.captured.filter(sq => prev.board[sq.r][sq.c] && !next.board[sq.r][sq.c]).map(sq => ({ ...sq, piece: prev.board[sq.r][sq.c] })),
+    removed: removed && { ...removed, piece: m.huffed ? prev.board[removed.r][removed.c] : prev.board[path[0].r][path[0].c] },
+    huffed: !!m.huffed
+  };
+}
+
+// A piece that is no longer on the board fades out on its square after `delay`
+function ghost(sq, piece, delay){
+  const el = squareEl(sq);
+  if (!el || !piece) return null;
+  const p = pieceEl(piece);
+  p.classList.add("ghost");
+  el.appendChild(p);
+  const total = delay + 250;
+  p.animate([{ opacity: 1 }, { opacity: 1, offset: delay / total }, { opacity: 0, transform: "scale(0.6)" }],
+    { duration: total, fill: "forwards" }).finished.then(() => p.remove(), () => {});
+  return p;
+}
+
+function animateDelta(d, skipMover){
+  const size = shown().board.length;
+  const step = elBoard.clientWidth / size * (flipped() ? -1 : 1);
+  const end = d.path[d.path.length - 1];
+  const duration = STEP_MS * (d.path.length - 1);
+  const offset = sq => `translate(${(sq.c - end.c) * step}px, ${(sq.r - end.r) * step}px)`;
+
+  // taken pieces go once the mover has landed; a piece moved into a
+  // penalty is gone from the board, so a ghost of it makes the trip
+  d.captured.forEach(sq => ghost(sq, sq.piece, duration));
+  const moverRemoved = d.removed && !d.huffed;
+  const mover = moverRemoved ? ghost(end, d.piece, duration + STEP_MS) : squareEl(end)?.querySelector(".piece:not(.ghost)");
+  if (d.removed && d.huffed) ghost(d.removed, d.removed.piece, duration + STEP_MS);
+
+  if (!mover || skipMover || d.path.length < 2) return;
+  mover.classList.add("moving");
+  mover.animate(d.path.map(sq => ({ transform: offset(sq) })), { duration, easing: "ease-in-out" })
+    .finished.then(() => mover.classList.remove("moving"), () => {});
+}
+
+// animation, notice and sound for what just happened
+function showDelta(delta, animate = true){
+  if (delta){
+    if (animate) animateDelta(delta, droppedByDrag);
+    if (delta.removed) penaltyNotice(delta);
+    playSound(delta.removed ? "penalty" : delta.jumped ? "capture" : "move");
+  }
+  droppedByDrag = false;
+}
+
+// --- penalty notice ---
+let noticeTimer = null;
+
+function showNotice(text){
+  elNotice.textContent = text;
+  elNotice.classList.remove("hidden");
+  clearTimeout(noticeTimer);
+  noticeTimer = setTimeout(() => elNotice.classList.add("hidden"), 6000);
+}
+
+function penaltyNotice(d){
+  showNotice(t(d.huffed ? "notice.huffed" : "notice.penalty", { seat: sideName(d.side) }));
+}
+
+// --- sounds (optional, synthesized: no files to load) ---
+let soundOn = localStorage.getItem("dameSound") === "1";
+let audio = null;
+soundToggle.checked = soundOn;
+
+soundToggle.addEventListener("change", () => {
+  soundOn = soundToggle.checked;
+  localStorage.setItem("dameSound", soundOn ? "1" : "0");
+  if (soundOn) audio ||= new AudioContext(); // needs this click to be allowed to play
+});
+
+function beep(freq, start, length, type = "sine"){
+  const at = audio.currentTime + start;
+  const osc = audio.createOscillator(), gain = audio.createGain();
+  osc.type = type;
+  osc.frequency.value = freq;
+  gain.gain.setValueAtTime(0.15, at);
+  gain.gain.exponentialRampToValueAtTime(0.001, at + length);
+  osc.connect(gain).connect(audio.destination);
+  osc.start(at);
+  osc.stop(at + length);
+}
+
+function playSound(kind){
+  if (!soundOn) return;
+  audio ||= new AudioContext();
+  if (kind === "move") beep(660, 0, 0.08, "triangle");
+  if (kind === "capture") beep(220, 0, 0.14, "square");
+  if (kind === "penalty"){ beep(440, 0, 0.12); beep(330, 0.12, 0.2); }
+  if (kind === "end"){ beep(523, 0, 0.12); beep(659, 0.12, 0.12); beep(784, 0.24, 0.25); }
+  if (kind === "chat") beep(880, 0, 0.06);
+}
+
+// --- "your turn" while the tab is in the background: title, favicon dot, notification ---
+const canNotify = "Notification" in window;
+let notifyOn = canNotify && localStorage.getItem("dameNotify") === "1" && Notification.permission === "granted";
+notifyToggle.checked = notifyOn;
+if (!canNotify) elNotifyLabel.classList.add("hidden");
+
+notifyToggle.addEventListener("change", async () => {
+  notifyOn = notifyToggle.checked;
+  if (notifyOn && Notification.permission !== "granted"){
+    notifyOn = await Notification.requestPermission() === "granted";
+    notifyToggle.checked = notifyOn;
+  }
+  localStorage.setItem("dameNotify", notifyOn ? "1" : "0");
+});
+
+const TITLE = document.title;
+const FAVICON = elFavicon.href;
+let badgeIcon = null;
+
+// the app icon with a red dot, drawn once
+function drawBadgeIcon(){
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = 64;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0, 64, 64);
+    ctx.fillStyle = "#ff4d3d";
+    ctx.beginPath();
+    ctx.arc(48, 16, 14, 0, Math.PI * 2);
+    ctx.fill();
+    badgeIcon = canvas.toDataURL("image/png");
+    if (document.title !== TITLE) elFavicon.href = badgeIcon;
+  };
+  img.src = FAVICON;
+}
+
+function setBadge(on){
+  document.title = on ? `● ${TITLE}` : TITLE;
+  if (on && !badgeIcon) drawBadgeIcon();
+  elFavicon.href = on && badgeIcon ? badgeIcon : FAVICON;
+}
+
+document.addEventListener("visibilitychange", () => {
+  if (!document.hidden) setBadge(false);
+});
+
+socket.on("yourTurn", ({ seat, lastMove }) => {
+  if (seat !== role || !document.hidden) return;
+  setBadge(true);
+  if (!notifyOn || Notification.permission !== "granted") return;
+  const n = new Notification(t("notify.title"), {
+    body: lastMove ? t("notify.reply", { move: moveText(lastMove) }) : t("notify.room", { room: roomId }),
+    tag: `dame-${roomId}`,
+    icon: FAVICON
+  });
+  n.onclick = () => { window.focus(); n.close(); };
+});
+
+function onSquareTap(r, c){
+  if (view?.mode === "editor") return editSquare(r, c);
+  const s = shown();
+  if (!s || s.result) return;
+
+  if (myHuffDecision()){
+    if (isHuffCandidate(r,c)) decideHuffOnBoard({ remove: { r, c } });
+    return;
+  }
 
   if (selected && legalTargets.has(`${r},${c}`)){
-    socket.emit("makeMove", { roomId, from: selected, to: { r, c } });
+    moveOnBoard(selected, { r, c });
     return;
   }
 
+  // locked to the continuing piece
+  if (myPendingCapture()) return;
+
   selected = { r, c };
   computeLegalTargets(r, c);
 
   if (legalTargets.size === 0){
-    const side = role==="white" ? 1 : role==="black" ? -1 : 0;
-    if (!side || sign(state.board[r][c]) !== side) selected = null;
+    const side = boardSide();
+    if (!side || sign(s.board[r][c]) !== side) selected = null;
   }
   render();
 }
 
-socket.on("presence", ({ players }) => {
-  elPresence.textContent = `Spieler: Weiß ${players.white ? "✅" : "—"} • Schwarz ${players.black ? "✅" : "—"}`;
+// --- drag and drop ---
+// A press that does not move is a tap; dragging a piece onto one of its
+// targets plays the step.
+const DRAG_THRESHOLD = 6;
+let drag = null;           // { r, c, x, y, el }
+let droppedByDrag = false; // the piece is already there: no slide for the next step
+
+// select without rebuilding the board, the pressed piece stays under the pointer
+function pickUp(r, c){
+  if (!shown() || shown().result || myHuffDecision()) return false;
+  const pending = myPendingCapture();
+  if (pending && !same(pending, { r, c })) return false;
+  selected = { r, c };
+  computeLegalTargets(r, c);
+  if (legalTargets.size === 0){
+    selected = null;
+    return false;
+  }
+  for (const sq of elBoard.querySelectorAll(".sq")){
+    sq.classList.toggle("select", same(selected, { r: +sq.dataset.r, c: +sq.dataset.c }));
+    sq.classList.toggle("move", legalTargets.has(`${sq.dataset.r},${sq.dataset.c}`));
+  }
+  return true;
+}
+
+elBoard.addEventListener("pointerdown", (e) => {
+  const sq = e.target.closest(".sq");
+  if (!sq || e.button !== 0) return;
+  drag = { r: Number(sq.dataset.r), c: Number(sq.dataset.c), x: e.clientX, y: e.clientY, el: null };
 });
 
-socket.emit("joinRoom", { roomId, seat, clientId });
+elBoard.addEventListener("pointermove", (e) => {
+  if (!drag) return;
+  const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+  if (!drag.el){
+    if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    const piece = squareEl(drag)?.querySelector(".piece:not(.ghost)");
+    if (!piece || !pickUp(drag.r, drag.c)){ drag = null; return; }
+    drag.el = piece;
+    piece.classList.add("dragging");
+    elBoard.setPointerCapture(e.pointerId);
+  }
+  drag.el.style.transform = `translate(${dx}px, ${dy}px)`;
+});
 
-socket.on("roomJoined", ({ role: r, state: s }) => {
-  role = r;
-  state = s;
-  selected = null;
-  legalTargets.clear();
+elBoard.addEventListener("pointerup", (e) => {
+  if (!drag) return;
+  const d = drag;
+  drag = null;
+  if (!d.el) return onSquareTap(d.r, d.c);
+
+  const sq = document.elementFromPoint(e.clientX, e.clientY)?.closest(".sq");
+  const to = sq && elBoard.contains(sq) ? { r: Number(sq.dataset.r), c: Number(sq.dataset.c) } : null;
+  if (!to || !legalTargets.has(key(to))) return render();
+
+  d.el.classList.remove("dragging");
+  d.el.style.transform = "";
+  sq.appendChild(d.el);
+  droppedByDrag = true;
+  moveOnBoard({ r: d.r, c: d.c }, to, () => {
+    droppedByDrag = false;
+    render();
+  });
+});
+
+elBoard.addEventListener("pointercancel", () => {
+  if (drag?.el) render();
+  drag = null;
+});
+
+// --- replay and analysis ---
+// The replay steps through the game's positions, its end is the live game.
+// The analysis branches off the shown position and plays both sides right
+// here: nothing of it reaches the room.
+const AUTOPLAY_MS = 1200;
+
+function stopAutoplay(){
+  if (!view?.timer) return;
+  clearInterval(view.timer);
+  view.timer = null;
+}
+
+function leaveView(){
+  stopAutoplay();
+  view = null;
+}
+
+// show position `ply` of the replay (or analysis line)
+function goTo(ply){
+  if (!state) return;
+  const prev = shown();
+  if (!view) view = { line: replayPositions(state), ply: 0, mode: "replay", from: null, timer: null };
+  const last = view.line.length - 1;
+  ply = Math.max(0, Math.min(ply, last));
+  if (view.mode === "replay" && ply === last) leaveView(); // the last position is the game itself
+  else view.ply = ply;
+  resetSelection();
+  render();
+  showDelta(moveDelta(prev, shown())); // one step forward slides, anything else jumps
+}
+
+// from the move list: the position after that move of the game
+function replayTo(ply){
+  if (view && view.mode !== "replay") leaveView();
+  stopAutoplay();
+  goTo(ply);
+}
+
+function toggleAutoplay(){
+  if (view?.timer){
+    stopAutoplay();
+    return renderReplay();
+  }
+  if (!view || view.ply === view.line.length - 1) goTo(0);
+  if (!view) return; // nothing to replay
+  view.timer = setInterval(() => {
+    if (view.ply < view.line.length - 1) return goTo(view.ply + 1);
+    stopAutoplay();
+    renderReplay();
+  }, AUTOPLAY_MS);
+  renderReplay();
+}
+
+function toggleAnalysis(){
+  if (!state) return;
+  stopAutoplay();
+  if (view?.mode === "analysis"){
+    // back to where it branched off: a replayed position or the live game
+    view = view.from === null ? null : { line: replayPositions(state), ply: view.from, mode: "replay", from: null, timer: null };
+    if (view) view.ply = Math.min(view.ply, view.line.length - 1);
+  } else {
+    const start = { ...shown(), result: null, winner: 0, clock: null, drawOffer: null, takebackRequest: null, rulesProposal: null };
+    view = { line: [start], ply: 0, mode: "analysis", from: view ? view.ply : null, timer: null };
+  }
+  resetSelection();
   render();
+}
+
+function renderReplay(){
+  const moves = state.history.length;
+  const atStart = view ? view.ply === 0 : moves === 0;
+  const atEnd = view ? view.mode !== "replay" && view.ply === view.line.length - 1 : true;
+  const editing = view?.mode === "editor";
+  replayFirstBtn.disabled = replayPrevBtn.disabled = atStart;
+  replayNextBtn.disabled = replayLastBtn.disabled = atEnd;
+  replayPlayBtn.disabled = (!view && moves === 0) || editing;
+  replayPlayBtn.textContent = view?.timer ? "⏸" : "⏵";
+  analysisBtn.textContent = t(view?.mode === "analysis" ? "analysis.stop" : "analysis.start");
+  analysisBtn.disabled = editing;
+  elBoard.classList.toggle("viewing", !!view);
+
+  const s = shown();
+  const turn = s.result ? resultText(s.result) : t("replay.turn", { seat: sideName(s.turn) });
+  elReplayInfo.textContent = !view ? t("replay.live")
+    : view.mode === "analysis" ? t("replay.analysis", { turn })
+    : editing ? t("replay.editor")
+    : t("replay.ply", { ply: view.ply, moves });
+}
+
+replayFirstBtn.addEventListener("click", () => { stopAutoplay(); goTo(0); });
+replayPrevBtn.addEventListener("click", () => { stopAutoplay(); goTo((view ? view.ply : state.history.length) - 1); });
+replayNextBtn.addEventListener("click", () => { stopAutoplay(); goTo(view.ply + 1); });
+replayLastBtn.addEventListener("click", () => { stopAutoplay(); goTo(Infinity); });
+replayPlayBtn.addEventListener("click", toggleAutoplay);
+analysisBtn.addEventListener("click", toggleAnalysis);
+
+// --- position editor ---
+// Pieces are set on the board; the room starts a game from the position
+// once the server has checked it (setupProblem, like here).
+let palettePiece = 1; // what a tap puts down: ±1 man, ±2 king, 0 clears
+
+function editorPosition(board, turn){
+  return { ...createInitialState({ board, turn }, state.variant), rules: state.rules };
+}
+
+function setEditorPosition(board, turn){
+  view.line = [editorPosition(board, turn)];
+  render();
+}
+
+function openEditor(){
+  if (!state) return;
+  stopAutoplay();
+  const { board, turn } = shown();
+  view = { line: [editorPosition(board, turn)], ply: 0, mode: "editor", from: null, timer: null };
+  resetSelection();
+  render();
+}
+
+// the chosen piece goes on the square; tapping it again takes it off
+function editSquare(r, c){
+  if ((r + c) % 2 === 0) return;
+  const { board, turn } = shown();
+  const next = board.map(row => row.slice());
+  next[r][c] = next[r][c] === palettePiece ? 0 : palettePiece;
+  setEditorPosition(next, turn);
+}
+
+function renderEditor(){
+  const editing = view?.mode === "editor";
+  editorBtn.classList.toggle("hidden", role === "spectator");
+  editorBtn.disabled = editing;
+  elEditorBox.classList.toggle("hidden", !editing);
+  resetSetupBtn.classList.toggle("hidden", !state.setup);
+  if (!editing) return;
+
+  for (const btn of elPalette.querySelectorAll("button")) btn.classList.toggle("active", Number(btn.dataset.piece) === palettePiece);
+  const { board, turn } = shown();
+  editorTurn.value = String(turn);
+  const problem = setupProblem({ board, turn }, state.variant, state.rules);
+  elEditorProblem.textContent = t(problem ? `setup.${problem}` : "editor.ready");
+  elEditorProblem.classList.toggle("error", !!problem);
+  editorPlayBtn.disabled = !!problem;
+}
+
+editorBtn.addEventListener("click", openEditor);
+
+elPalette.addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  palettePiece = Number(btn.dataset.piece);
+  renderEditor();
 });
 
-socket.on("state", ({ state: s }) => {
-  state = s;
+editorTurn.addEventListener("change", () => setEditorPosition(shown().board, Number(editorTurn.value)));
+
+document.getElementById("editorClearBtn").addEventListener("click", () => {
+  const size = shown().board.length;
+  setEditorPosition(Array.from({ length: size }, () => Array(size).fill(0)), shown().turn);
+});
+
+document.getElementById("editorStartBtn").addEventListener("click", () => {
+  const { board, turn } = createInitialState(null, state.variant);
+  setEditorPosition(board, turn);
+});
+
+document.getElementById("editorCancelBtn").addEventListener("click", () => {
+  leaveView();
+  resetSelection();
+  render();
+});
+
+editorPlayBtn.addEventListener("click", () => {
+  const { board, turn } = shown();
+  if (!confirmNewGame()) return;
+  send("setPosition", { board, turn }, () => {
+    leaveView();
+    resetSelection();
+    render();
+  });
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.target.closest("input, textarea, select") || e.altKey || e.ctrlKey || e.metaKey) return;
+  if (e.key === "ArrowLeft" && !replayPrevBtn.disabled) replayPrevBtn.click();
+  if (e.key === "ArrowRight" && !replayNextBtn.disabled) replayNextBtn.click();
+});
+
+// --- private seat links ---
+function seatLinkText(s){
+  const token = seatTokens[s];
+  if (!token) return t("links.private");
+  const base = `${location.origin}`;
+  if (roomId === DEFAULT_ROOM) return `${base}/${s === "white" ? "chris" : "sandrina"}/${token}`;
+  return `${base}/r/${roomId}/${s}/${token}`;
+}
+
+function renderSeatLinks(){
+  linkWhite.textContent = seatLinkText("white");
+  linkBlack.textContent = seatLinkText("black");
+  for (const btn of document.querySelectorAll(".renewLinkBtn")) btn.classList.toggle("hidden", role !== "white");
+  releaseSeatBtn.classList.toggle("hidden", role === "spectator");
+}
+
+for (const btn of document.querySelectorAll(".renewLinkBtn")){
+  btn.addEventListener("click", () => {
+    if (!confirm(t("confirm.renewLink"))) return;
+    send("renewSeatLink", { seat: btn.dataset.seat });
+  });
+}
+
+releaseSeatBtn?.addEventListener("click", () => {
+  if (!confirm(t("confirm.releaseSeat"))) return;
+  send("releaseSeat");
+});
+
+socket.on("seatTokens", (tokens) => {
+  seatTokens = tokens || {};
+  if (role !== "spectator" && seatTokens[role]) storeToken(roomId, role, seatTokens[role]);
+  renderSeatLinks();
+});
+
+socket.on("seatLost", ({ reason } = {}) => {
+  if (reason !== "otherDevice" && role !== "spectator") forgetToken(roomId, role);
+  role = "spectator";
+  seatTokens = {};
+  resetSelection();
+  render();
+  renderBots();
+  alert(t(hasMessage(`seatLost.${reason}`) ? `seatLost.${reason}` : "seatLost.other"));
+});
+
+// --- computer player ---
+let presence = { players: { white: false, black: false }, bots: { white: null, black: null } };
+
+function seatIcon(seat){
+  if (presence.bots[seat]) return `🤖 (${t(`bot.${presence.bots[seat]}`)})`;
+  if (presence.engines?.[seat]) return `🔌 ${presence.engines[seat]}`;
+  return presence.players[seat] ? "✅" : "—";
+}
+
+function renderBots(){
+  elBotBox.classList.toggle("hidden", role === "spectator");
+  elBotSeats.innerHTML = "";
+  for (const seat of ["white", "black"]){
+    if (seat === role) continue;
+    const btn = document.createElement("button");
+    btn.className = "btn btnGhost";
+    if (presence.bots[seat]){
+      btn.textContent = t("bot.remove", { seat: seatName(seat) });
+      btn.addEventListener("click", () => send("setBot", { seat, level: null }));
+    } else {
+      btn.textContent = t("bot.play", { seat: seatName(seat) });
+      btn.disabled = presence.players[seat];
+      btn.addEventListener("click", () => send("setBot", { seat, level: botLevel.value }));
+    }
+    elBotSeats.appendChild(btn);
+  }
+}
+
+function renderPresence(){
+  elPresence.textContent = t("presence.line", { white: seatIcon("white"), black: seatIcon("black") });
+}
+
+socket.on("presence", (p) => {
+  presence = p;
+  renderPresence();
+  renderBots();
+  loadLobby();
+});
+
+// --- lobby ---
+async function loadLobby(){
+  try {
+    const res = await fetch("/api/rooms");
+    const { rooms } = await res.json();
+    renderLobby(rooms);
+  } catch {
+    // lobby is informational only
+  }
+}
+
+function renderLobby(rooms){
+  elLobby.innerHTML = "";
+  rooms.sort((a,b) => b.lastActivity - a.lastActivity);
+  for (const r of rooms){
+    const row = document.createElement("a");
+    row.className = "lobbyRow" + (r.roomId===roomId ? " current" : "");
+    row.href = `/#room=${encodeURIComponent(r.roomId)}`;
+    const name = (r.roomId===DEFAULT_ROOM ? "Chris & Sandrina" : r.roomId)
+      + (r.variant && r.variant !== "german" ? ` (${variantName(r.variant)})` : "");
+    const status = r.result ? t("lobby.finished") : t("replay.turn", { seat: sideName(r.turn) });
+    const icon = seat => r.bots[seat] ? "🤖" : r.engines?.[seat] ? "🔌" : r.players[seat] ? "✅" : "—";
+    row.textContent = t("lobby.row", { name, white: icon("white"), black: icon("black") })
+      + `${r.spectators ? ` • 👀 ${r.spectators}` : ""} • ${status}`;
+    elLobby.appendChild(row);
+  }
+}
+
+setInterval(loadLobby, 15000);
+
+// --- statistics: the room's finished games, loaded when the box is opened ---
+const STATS_RULES = Object.keys(RULE_INPUTS); // labelled rule.<key>
+
+function ruleValueText(v){
+  if (v === true) return t("ruleValue.on");
+  if (v === false || v === 0) return t("ruleValue.off");
+  return hasMessage(`ruleValue.${v}`) ? t(`ruleValue.${v}`) : String(v);
+}
+
+// variant name plus whatever differs from its preset
+function rulesLabel({ variant, rules }){
+  const preset = variantRules(variant);
+  const diffs = STATS_RULES.filter(k => rules[k] !== preset[k])
+    .map(k => `${t(`rule.${k}`)} ${ruleValueText(rules[k])}`);
+  return [variantName(variant), ...diffs].join(" · ");
+}
+
+function formatDuration(ms){
+  if (ms >= 86400000) return t("duration.days", { n: (ms / 86400000).toFixed(1) });
+  if (ms >= 3600000) return `${(ms / 3600000).toFixed(1)} h`;
+  return `${Math.max(1, Math.round(ms / 60000))} min`;
+}
+
+function renderStats({ names, stats }){
+  const name = seat => names?.[seat] || seatName(seat);
+  elStats.innerHTML = "";
+  const line = (text, cls) => {
+    const el = document.createElement("div");
+    if (cls) el.className = cls;
+    el.textContent = text;
+    elStats.appendChild(el);
+  };
+
+  if (!stats.games){
+    line(t("stats.none"));
+    return;
+  }
+  const { score, streak, longestStreak } = stats;
+  line(`${name("white")} ${score.white} : ${score.black} ${name("black")}`, "statsScore");
+  line(t("stats.games", { games: stats.games, draws: score.draws }));
+  if (streak.length > 1) line(t("stats.streak", { name: name(streak.seat), n: streak.length }));
+  line(t("stats.longest", { white: name("white"), w: longestStreak.white, black: name("black"), b: longestStreak.black }));
+  line(t("stats.average", { plies: Math.round(stats.averagePlies), duration: formatDuration(stats.averageDurationMs) }));
+  line(t("stats.byRules"));
+  for (const g of stats.byRules){
+    line(`${rulesLabel(g)}: ${g.white} : ${g.black}${g.draws ? ` ${t("stats.draws", { n: g.draws })}` : ""}`, "statsRules");
+  }
+}
+
+async function loadStats(){
+  try {
+    const res = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/stats`);
+    if (res.ok) renderStats(await res.json());
+  } catch {
+    // statistics are informational only
+  }
+}
+
+elStatsBox?.addEventListener("toggle", () => {
+  if (elStatsBox.open) loadStats();
+});
+
+// --- chat: the players' channel, the spectators' (which can be hidden) and
+// reactions on moves; the room owner moderates ---
+let chat = { messages: [], muted: [] };
+let myViewer = null; // our spectator id in this room
+let hideSpectators = localStorage.getItem("dameHideSpectators") === "1";
+hideSpectatorsToggle.checked = hideSpectators;
+chatInput.maxLength = CHAT_MAX_LENGTH;
+
+// the key our spectator id is made from, so a mute outlasts a reload
+function viewerKey(){
+  let key = localStorage.getItem("dameViewer");
+  if (!key){
+    key = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, "0")).join("");
+    localStorage.setItem("dameViewer", key);
+  }
+  return key;
+}
+
+function authorName(m){
+  const you = m.from === "spectator" ? m.viewer === myViewer : m.from === role;
+  const name = m.from === "spectator" ? t("chat.spectator", { id: m.viewer.slice(0, 4) }) : seatName(m.from);
+  return you ? t("chat.you", { name }) : name;
+}
+
+function reactionText(m){
+  const move = m.game === state?.startedAt && state.history[m.ply];
+  return t("chat.reaction", { emoji: m.emoji, move: move ? moveText(move) : t("chat.ply", { n: m.ply + 1 }) });
+}
+
+function renderChat(){
+  const isOwner = role === "white";
+  const muted = myViewer !== null && chat.muted.includes(myViewer);
+  chatClearBtn.classList.toggle("hidden", !isOwner);
+  chatInput.disabled = muted;
+  chatInput.placeholder = t(muted ? "chat.mutedPlaceholder" : "chat.placeholder");
+
+  elChatList.innerHTML = "";
+  for (const m of chat.messages){
+    if (m.channel === "spectators" && hideSpectators) continue;
+    const line = document.createElement("div");
+    line.className = "chatLine" + (m.channel === "spectators" ? " spectators" : "");
+    const name = document.createElement("span");
+    name.className = "chatName";
+    name.textContent = authorName(m);
+    line.append(name, m.kind === "text" ? m.text : reactionText(m));
+    if (isOwner && m.viewer){
+      const isMuted = chat.muted.includes(m.viewer);
+      const btn = document.createElement("button");
+      btn.className = "btn btnGhost btnSmall";
+      btn.textContent = t(isMuted ? "chat.unmute" : "chat.mute");
+      btn.title = t(isMuted ? "chat.unmuteTitle" : "chat.muteTitle");
+      btn.addEventListener("click", () => send("muteSpectator", { viewer: m.viewer, muted: !isMuted }));
+      line.appendChild(btn);
+    }
+    elChatList.appendChild(line);
+  }
+  if (!chat.messages.length) elChatList.textContent = t("chat.empty");
+  elChatList.scrollTop = elChatList.scrollHeight;
+}
+
+// reactions go to the move on the board: the last one, or the one replayed
+function renderReactionBar(){
+  const ply = view?.mode === "replay" ? view.ply - 1 : view ? -1 : state.history.length - 1;
+  elReactionBar.classList.toggle("hidden", ply < 0);
+  if (ply < 0) return;
+  elReactionBar.innerHTML = "";
+  elReactionBar.append(t("chat.reactTo", { move: moveText(state.history[ply]) }));
+  for (const emoji of REACTIONS){
+    const btn = document.createElement("button");
+    btn.className = "btn btnGhost";
+    btn.textContent = emoji;
+    btn.addEventListener("click", () => send("react", { emoji, ply }));
+    elReactionBar.appendChild(btn);
+  }
+}
+
+chatForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text) return;
+  send("chat", { text }, () => { chatInput.value = ""; });
+});
+
+chatClearBtn.addEventListener("click", () => {
+  if (confirm(t("confirm.clearChat"))) send("clearChat");
+});
+
+hideSpectatorsToggle.addEventListener("change", () => {
+  hideSpectators = hideSpectatorsToggle.checked;
+  localStorage.setItem("dameHideSpectators", hideSpectators ? "1" : "0");
+  renderChat();
+});
+
+socket.on("chatMessage", (m) => {
+  chat = { ...chat, messages: [...chat.messages, m] };
+  renderChat();
+  if (m.kind === "reaction") renderMoveList();
+  else if (m.from !== role && !(m.channel === "spectators" && hideSpectators)) playSound("chat");
+});
+
+// after moderation: the whole chat again
+socket.on("chat", (c) => {
+  chat = c;
+  renderChat();
+  renderMoveList();
+});
+
+// --- the seat's webhook: the server POSTs "yourTurn" there ---
+function renderWebhook(url){
+  elWebhookBox.classList.toggle("hidden", role === "spectator");
+  webhookUrl.value = url || "";
+}
+
+webhookSaveBtn?.addEventListener("click", () => {
+  const url = webhookUrl.value.trim();
+  send("setWebhook", { url: url || null }, (res) => {
+    renderWebhook(res.url);
+    showNotice(t(res.url ? "webhook.saved" : "webhook.removed"));
+  });
+});
+
+webhookClearBtn?.addEventListener("click", () => {
+  send("setWebhook", { url: null }, () => {
+    renderWebhook(null);
+    showNotice(t("webhook.removed"));
+  });
+});
+
+// the seat asked for in the last joinRoom
+let requestedSeat = null;
+
+function joinRoom(s){
+  requestedSeat = s;
+  send("joinRoom", { seat: s, token: s ? storedToken(roomId, s) : null, ...(LOCAL ? {} : { viewer: viewerKey() }) });
+}
+
+joinRoom(joinSeat);
+
+// --- connection: a reconnect is a new server socket, so join again (keeping
+// our seat) and take the state it sends ---
+socket.on("disconnect", () => {
+  offline = true;
+  elConnection.classList.remove("hidden");
+});
+
+// the first connection failed: no server (yet), offer the hot-seat
+socket.on("connect_error", () => elConnection.classList.remove("hidden"));
+socket.on("connect", () => { if (!offline) elConnection.classList.add("hidden"); });
+
+socket.io.on("reconnect", () => {
+  offline = false;
+  elConnection.classList.add("hidden");
+  joinRoom(role === "spectator" ? null : role);
+});
+
+function resync(){
+  send("resync", { version: state?.version }, (res) => {
+    if (res.state) onState(res);
+  });
+}
+
+function resetSelection(){
   selected = null;
   legalTargets.clear();
+  const pending = myPendingCapture();
+  if (pending){
+    selected = { r: pending.r, c: pending.c };
+    computeLegalTargets(pending.r, pending.c);
+  }
+}
+
+socket.on("roomJoined", ({ role: r, state: s, now, tokens, webhook, chat: c, viewer }) => {
+  syncServerTime(now);
+  role = r;
+  state = s;
+  chat = c || chat; // the hot-seat has none
+  myViewer = viewer ?? null;
+  seatTokens = tokens || {};
+  if (role !== "spectator" && seatTokens[role]) storeToken(roomId, role, seatTokens[role]);
+  // a token that no longer opens the seat has been renewed by the owner
+  if (requestedSeat && role === "spectator") forgetToken(roomId, requestedSeat);
+  resetSelection();
   render();
+  renderBots();
+  renderWebhook(webhook);
+  renderChat();
 });
 
+function onState({ state: s, now }){
+  if (state && s.version < state.version) return; // an answer overtaken by a newer broadcast
+  const ended = !!s.result && !state?.result;
+  if (elStatsBox.open && !!s.result !== !!state?.result) loadStats(); // a game ended (or was taken back)
+  const delta = moveDelta(state, s);
+  syncServerTime(now);
+  state = s;
+  if (LOCAL) role = seatToMove(s); // the device goes to whoever is to move
+  if (view?.mode === "replay") view.line = replayPositions(s); // the game went on (or was taken back)
+  if (view) view.ply = Math.min(view.ply, view.line.length - 1);
+  else resetSelection();
+  drag = null;
+  render();
+
+  showDelta(delta, !view); // the board shows another position: no slide
+  if (ended) playSound("end");
+}
+
+socket.on("state", onState);
+
+// a new game while this one is under way resigns it (the server records it)
+function confirmNewGame(){
+  return LOCAL || !state || state.result || !state.history.length || confirm(t("confirm.newGame"));
+}
+
 resetBtn?.addEventListener("click", () => {
-  socket.emit("resetGame", { roomId });
+  if (confirmNewGame()) send("resetGame", { setup: "standard" });
+});
+
+resetSetupBtn?.addEventListener("click", () => {
+  if (confirmNewGame()) send("resetGame", { setup: "custom" });
+});
+
+drawBtn?.addEventListener("click", () => {
+  if (LOCAL && !confirm(t("confirm.draw"))) return;
+  send("offerDraw", {}, ({ accepted }) => {
+    if (accepted === false) elHint.textContent = t("draw.botDeclines");
+  });
+});
+
+drawAcceptBtn?.addEventListener("click", () => {
+  send("answerDraw", { accept: true });
+});
+
+drawDeclineBtn?.addEventListener("click", () => {
+  send("answerDraw", { accept: false });
+});
+
+resignBtn?.addEventListener("click", () => {
+  if (confirm(t("confirm.resign"))) send("resign");
+});
+
+takebackBtn?.addEventListener("click", () => {
+  send("requestTakeback");
+});
+
+takebackAcceptBtn?.addEventListener("click", () => {
+  send("answerTakeback", { accept: true });
+});
+
+takebackDeclineBtn?.addEventListener("click", () => {
+  send("answerTakeback", { accept: false });
+});
+
+pdnFile?.addEventListener("change", async () => {
+  const file = pdnFile.files[0];
+  if (file) pdnText.value = await file.text();
+});
+
+pdnImportBtn?.addEventListener("click", () => {
+  const pdn = pdnText.value.trim();
+  if (!pdn) return;
+  send("importPdn", { pdn }, () => { pdnText.value = ""; });
+});
+
+newGameBtn?.addEventListener("click", () => {
+  location.href = "/new";
+});
+
+endTurnBtn?.addEventListener("click", () => {
+  endCaptureOnBoard();
+});
+
+forceCaptureBtn?.addEventListener("click", () => {
+  decideHuffOnBoard({ forceCapture: true });
+});
+
+// a new language: the page's texts, then everything drawn from the state
+langSelect.addEventListener("change", () => {
+  lang = langSelect.value;
+  localStorage.setItem("dameLang", lang);
+  translatePage();
+  render();
+  renderBots();
+  renderPresence();
+  renderChat();
+  loadLobby();
+  if (elStatsBox.open) loadStats();
 });
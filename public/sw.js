@@ -0,0 +1,63 @@
+// Service worker: keeps the app shell so the page opens without the server
+// (hot-seat, #local). Online the network always wins, so an update is seen on
+// the next load; the cache is only the fallback.
+
+const CACHE = "dame-v1";
+const SHELL = [
+  "/",
+  "/index.html",
+  "/app.js",
+  "/styles.css",
+  "/manifest.webmanifest",
+  "/icon-192.png",
+  "/icon-512.png",
+  "/shared/engine.js",
+  "/shared/actions.js",
+  "/shared/clock.js",
+  "/shared/hotseat.js",
+  "/shared/chat.js",
+  "/shared/i18n.js",
+  "/shared/locales/de.js",
+  "/shared/locales/en.js",
+  "/socket.io/socket.io.js"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// live data (rooms, moves, the socket) is never cached
+function cacheable(url){
+  if (url.origin !== location.origin) return false;
+  if (url.pathname.startsWith("/api/")) return false;
+  if (url.pathname.startsWith("/socket.io/")) return url.pathname === "/socket.io/socket.io.js";
+  return true;
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || !cacheable(url)) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    try {
+      const res = await fetch(req);
+      if (res.ok && res.type === "basic") cache.put(req, res.clone());
+      return res;
+    } catch (err) {
+      // seat links (/r/..., /chris/...) are server redirects: offline only the app itself opens
+      const hit = await cache.match(req, { ignoreSearch: true }) || (req.mode === "navigate" && await cache.match("/"));
+      if (hit) return hit;
+      throw err;
+    }
+  })());
+});
@@ -2,7 +2,25 @@ import express from "express";
 import http from "http";
 import { Server } from "socket.io";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { Worker } from "worker_threads";
+import { createStore } from "./lib/storage.js";
+import { LEVELS, evaluate, turnOptions } from "./lib/ai.js";
+import {
+  advanceClock, applyTimeout, clockRemaining, createClock, isFlagged, normalizeTimeControl, resumeClock
+} from "./shared/clock.js";
+import { PdnError, formatPdn, formatRules, loadPdnGame } from "./lib/pdn.js";
+import { ActionError, createRateLimiter, errorReply, validate } from "./lib/protocol.js";
+import { gameRecord, summarize } from "./lib/stats.js";
+import { deliverWebhook, isWebhookUrl } from "./lib/webhooks.js";
+import {
+  REACTIONS, addMessage, channelOf, chatText, createChat, hasReacted, isMuted, isViewerId, restoreChat, setMuted
+} from "./shared/chat.js";
+import { endCaptureAction, huffAction, stepAction } from "./shared/actions.js";
+import {
+  VARIANTS, checkResult, createInitialState, endGame, legalSteps, replayHistory, setupProblem, takebackCount
+} from "./shared/engine.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,387 +28,1148 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
+const engineIo = io.of("/bots"); // external engines, see below
 
 app.use(express.static(path.join(__dirname, "public")));
+app.use("/shared", express.static(path.join(__dirname, "shared")));
 
 const PORT = process.env.PORT || 3000;
 
-// Permanent setup
-const FIXED_ROOM = "chris-sandrina";
-
-// Convenience short links
-app.get("/chris", (req, res) => res.redirect(`/#seat=white`));
-app.get("/sandrina", (req, res) => res.redirect(`/#seat=black`));
-
-// ------------------- Game State -------------------
-/**
- * Pieces:
- *  0 = empty
- *  1 = White man,  2 = White king
- * -1 = Black man, -2 = Black king
- * Turn:
- *  1 = White to move
- * -1 = Black to move
- */
-function createInitialState() {
-  const board = Array.from({ length: 8 }, () => Array(8).fill(0));
-  // Black on top (rows 0..2), White on bottom (rows 5..7)
-  for (let r = 0; r < 3; r++) for (let c = 0; c < 8; c++) if ((r + c) % 2 === 1) board[r][c] = -1;
-  for (let r = 5; r < 8; r++) for (let c = 0; c < 8; c++) if ((r + c) % 2 === 1) board[r][c] = 1;
+// Persistence: STORAGE selects the backend, DATA_DIR where the JSON backend writes
+const store = createStore(process.env.STORAGE || "json", {
+  dir: process.env.DATA_DIR || path.join(__dirname, "data")
+});
 
-  return {
-    board,
-    turn: 1,
-    winner: 0,
-    lastMove: null,
-    rules: {
-      mustCapture: true,
-      skipCapturePenaltyRemoveMoved: true,
-      multiCapture: "optional", // "optional" | "forced" (forced is planned; optional works now)
-      flyingKingMove: true,
-      flyingKingCapture: true,
-      menBackwardCapture: false
+// Permanent setup (never cleaned up)
+const DEFAULT_ROOM = "chris-sandrina";
+
+// Rooms without any connected socket or running clock are dropped after this long
+const ROOM_IDLE_MS = Number(process.env.ROOM_IDLE_MS) || 24 * 60 * 60 * 1000;
+const ROOM_SWEEP_MS = 60 * 1000;
+
+const ROOM_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const SEAT_NAMES = { [DEFAULT_ROOM]: { white: "Chris", black: "Sandrina" } };
+const SEATS = ["white", "black"];
+
+// Seat links carry the seat's secret token in the hash, so it never reaches
+// the server in a request line; the browser keeps it for reconnecting.
+function seatLink(roomId, seat, token) {
+  return `/#room=${roomId}&seat=${seat}${token ? `&token=${token}` : ""}`;
+}
+
+// Convenience short links (without a token only a browser that has sat here before gets the seat)
+app.get("/chris/:token?", (req, res) => res.redirect(seatLink(DEFAULT_ROOM, "white", req.params.token)));
+app.get("/sandrina/:token?", (req, res) => res.redirect(seatLink(DEFAULT_ROOM, "black", req.params.token)));
+
+// New game: fresh room with an unguessable id, creator takes white
+app.get("/new", (req, res) => {
+  const roomId = newRoomId();
+  const room = getRoom(roomId);
+  persistRoom(room);
+  res.redirect(seatLink(roomId, "white", room.tokens.white));
+});
+
+// Seat links per room
+app.get("/r/:roomId/:seat/:token?", (req, res) => {
+  const { roomId, seat, token } = req.params;
+  if (!ROOM_ID_RE.test(roomId) || !SEATS.includes(seat)) return res.status(404).end();
+  res.redirect(seatLink(roomId, seat, token));
+});
+
+// PDN export of a room's current game
+app.get("/api/rooms/:roomId/pdn", (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) return res.status(404).end();
+  const names = SEAT_NAMES[room.id] || { white: "White", black: "Black" };
+  const pdn = formatPdn({
+    tags: {
+      Event: "Dame Live",
+      Site: room.id,
+      Date: pdnDate(room.state.startedAt),
+      White: names.white,
+      Black: names.black,
+      Rules: formatRules(room.state.rules)
+    },
+    history: room.state.history,
+    setup: room.state.setup,
+    result: room.state.result,
+    variant: room.state.variant
+  });
+  res.type("application/x-pdn; charset=utf-8");
+  res.attachment(`dame-${room.id}.pdn`);
+  res.send(pdn);
+});
+
+// Lobby: active rooms with presence
+app.get("/api/rooms", (req, res) => {
+  res.json({ rooms: [...rooms.values()].map(lobbyEntry) });
+});
+
+// ------------------- JSON API -------------------
+// For scripts and dashboards without a socket. Answers look like the socket
+// acks ({ ok: true, ... } or { ok: false, error }); playing needs the seat's
+// token as "Authorization: Bearer <token>".
+const API_STATUS = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404, INTERNAL: 500 }; // any other error: 409
+
+function api(handler) {
+  return (req, res) => {
+    try {
+      res.json({ ok: true, ...handler(req) });
+    } catch (err) {
+      if (!(err instanceof ActionError)) err = internalError(`${req.method} ${req.path}`, err);
+      res.status(API_STATUS[err.code] || 409).json(errorReply(err));
     }
   };
 }
 
-const rooms = new Map(); // roomId -> { state, players:{white,black}, clientMap }
+function apiRoom(req) {
+  const room = rooms.get(req.params.roomId);
+  if (!room) throw new ActionError("NOT_FOUND");
+  return room;
+}
+
+// The seat whose token the request carries
+function apiSeat(req, room) {
+  const token = /^Bearer (\S+)$/.exec(req.get("authorization") || "")?.[1];
+  const seat = SEATS.find(s => tokenMatches(room, s, token));
+  if (!seat) throw new ActionError("FORBIDDEN");
+  return seat;
+}
+
+app.get("/api/rooms/:roomId", api(req => {
+  const room = apiRoom(req);
+  return { state: room.state, presence: presenceOf(room), now: Date.now() };
+}));
+
+// Steps the side to move may play now; a capture that can go on is followed
+// by further steps from its landing square. While a huff is pending there are
+// none: the side to move decides it first (POST .../huff)
+app.get("/api/rooms/:roomId/moves", api(req => {
+  const { state } = apiRoom(req);
+  const moves = legalSteps(state).map(m => ({ from: m.from, to: m.to, capture: !!m.over }));
+  return { version: state.version, turn: state.turn, pendingCapture: state.pendingCapture, pendingHuff: state.pendingHuff, moves };
+}));
+
+// The seated side of a request whose body matches `schema` and is up to date
+function apiTurn(req, room, schema) {
+  const seat = apiSeat(req, room);
+  if (!validate({ ...schema, version: "integer" }, req.body)) throw new ActionError("BAD_REQUEST");
+  assertUpToDate(room, req.body.version);
+  return seat === "white" ? 1 : -1;
+}
+
+app.post("/api/rooms/:roomId/moves", express.json({ limit: "4kb" }), api(req => {
+  const room = apiRoom(req);
+  const side = apiTurn(req, room, { from: "square", to: "square" });
+  makeStep(room, side, req.body.from, req.body.to);
+  return { state: room.state };
+}));
+
+// Stop an optional capture sequence here, as the "endCapture" event
+app.post("/api/rooms/:roomId/end-capture", express.json({ limit: "4kb" }), api(req => {
+  const room = apiRoom(req);
+  endSequence(room, apiTurn(req, room, {}));
+  return { state: room.state };
+}));
+
+// Decide a pending huff, as the "decideHuff" event: { remove: square } or { forceCapture: true }
+app.post("/api/rooms/:roomId/huff", express.json({ limit: "4kb" }), api(req => {
+  const room = apiRoom(req);
+  const side = apiTurn(req, room, { remove: "square?", forceCapture: "boolean?" });
+  decideHuff(room, side, { remove: req.body.remove, forceCapture: !!req.body.forceCapture });
+  return { state: room.state };
+}));
+
+// Head-to-head record of the room's two seats, see lib/stats.js
+app.get("/api/rooms/:roomId/stats", api(req => {
+  const room = apiRoom(req);
+  return { names: SEAT_NAMES[room.id] || null, stats: summarize(room.games) };
+}));
+
+app.get("/api/rooms/:roomId/history", api(req => {
+  const { state } = apiRoom(req);
+  const { version, variant, rules, rulesHistory, setup, startedAt, history, result } = state;
+  return { version, variant, rules, rulesHistory, setup, startedAt, history, result };
+}));
+
+// A body that is not JSON is a bad request like any other
+app.use("/api", (err, req, res, next) => {
+  if (!err.type?.startsWith("entity.")) return next(err);
+  res.status(400).json({ ok: false, error: "BAD_REQUEST" });
+});
+
+// ------------------- Rooms -------------------
+const rooms = new Map(); // roomId -> { id, state, version, players:{white,black}, tokens:{white,black}, bots, engines, webhooks, chat, games, createdAt, lastActivity }
 
 function getRoom(roomId) {
   if (!rooms.has(roomId)) {
+    const now = Date.now();
     rooms.set(roomId, {
-      state: createInitialState(),
+      id: roomId,
+      state: { ...createInitialState(), version: 0 },
+      version: 0,
       players: { white: null, black: null },
-      clientMap: new Map()
+      tokens: { white: newSeatToken(), black: newSeatToken() },
+      bots: { white: null, black: null },
+      engines: { white: null, black: null },
+      webhooks: { white: null, black: null },
+      chat: createChat(),
+      games: [],
+      createdAt: now,
+      lastActivity: now
     });
   }
   return rooms.get(roomId);
 }
 
-function sign(piece) { return piece === 0 ? 0 : piece > 0 ? 1 : -1; }
-function isKing(piece) { return Math.abs(piece) === 2; }
-function inBounds(r, c) { return r >= 0 && r < 8 && c >= 0 && c < 8; }
-function cloneBoard(board) { return board.map(row => row.slice()); }
-function forwardDir(side) { return side === 1 ? -1 : +1; }
+function newSeatToken() { return crypto.randomBytes(18).toString("base64url"); }
 
-// ---------- Move generators (respect rules) ----------
-function listManMoves(board, r, c, side) {
-  const dr = forwardDir(side);
-  const out = [];
-  for (const dc of [-1, +1]) {
-    const r1 = r + dr, c1 = c + dc;
-    if (inBounds(r1, c1) && board[r1][c1] === 0) out.push({ from: { r, c }, to: { r: r1, c: c1 } });
-  }
-  return out;
-}
-
-function listManCaptures(board, r, c, side, allowBackwardCapture) {
-  const drs = allowBackwardCapture ? [-1, +1] : [forwardDir(side)];
-  const out = [];
-  for (const dr of drs) {
-    for (const dc of [-1, +1]) {
-      const r1 = r + dr, c1 = c + dc;
-      const r2 = r + 2 * dr, c2 = c + 2 * dc;
-      if (!inBounds(r2, c2)) continue;
-      const mid = board[r1]?.[c1];
-      if (mid && sign(mid) === -side && board[r2][c2] === 0) {
-        out.push({ from: { r, c }, over: { r: r1, c: c1 }, to: { r: r2, c: c2 } });
-      }
-    }
-  }
-  return out;
+function tokenMatches(room, seat, token) {
+  if (typeof token !== "string") return false;
+  const a = Buffer.from(token), b = Buffer.from(room.tokens[seat]);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
 }
 
-function listKingMoves(board, r, c, flying) {
-  if (!flying) {
-    // short king move (1 step)
-    const out = [];
-    for (const dr of [-1, +1]) for (const dc of [-1, +1]) {
-      const rr = r + dr, cc = c + dc;
-      if (inBounds(rr, cc) && board[rr][cc] === 0) out.push({ from: { r, c }, to: { r: rr, c: cc } });
-    }
-    return out;
+// The white seat owns the room (as for the rules) and sees both links
+function seatTokensFor(room, role) {
+  if (role === "white") return { ...room.tokens };
+  if (role === "black") return { black: room.tokens.black };
+  return {};
+}
+
+// Take a seat away from whoever holds it; a browser stays as a spectator,
+// an external engine is disconnected
+function unseat(room, seat, reason) {
+  const sid = room.players[seat];
+  if (!sid || sid === BOT) return;
+  room.players[seat] = null;
+  io.sockets.sockets.get(sid)?.emit("seatLost", { reason });
+  if (room.engines[seat]) {
+    room.engines[seat] = null;
+    // its disconnect handler no longer sees it seated, so its move timer ends here
+    if (room.state.turn === (seat === "white" ? 1 : -1)) clearTimeout(room.engineTimer);
+    const engine = engineIo.sockets.get(sid);
+    engine?.emit("seatLost", { reason });
+    engine?.disconnect(true);
   }
+}
 
-  const out = [];
-  for (const dr of [-1, +1]) {
-    for (const dc of [-1, +1]) {
-      let rr = r + dr, cc = c + dc;
-      while (inBounds(rr, cc) && board[rr][cc] === 0) {
-        out.push({ from: { r, c }, to: { r: rr, c: cc } });
-        rr += dr; cc += dc;
-      }
-    }
+function newRoomId() {
+  let id;
+  do id = crypto.randomBytes(12).toString("base64url"); while (rooms.has(id));
+  return id;
+}
+
+function pdnDate(ms) {
+  const d = new Date(ms || Date.now());
+  return `${d.getFullYear()}.${String(d.getMonth() + 1).padStart(2, "0")}.${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function touchRoom(room) { room.lastActivity = Date.now(); }
+
+// Socket ids in room.players are not persisted: seats are re-bound by token on join
+function serializeRoom(room) {
+  return {
+    id: room.id,
+    state: room.state,
+    tokens: room.tokens,
+    bots: room.bots,
+    webhooks: room.webhooks,
+    chat: room.chat,
+    games: room.games,
+    createdAt: room.createdAt,
+    lastActivity: room.lastActivity
+  };
+}
+
+function persistRoom(room) {
+  store.save(serializeRoom(room)).catch(err => {
+    console.error(`storage: saving room ${room.id} failed: ${err.message}`);
+  });
+}
+
+async function loadRooms() {
+  for (const rec of await store.loadAll()) {
+    if (!rec || typeof rec.id !== "string" || !ROOM_ID_RE.test(rec.id) || !rec.state) continue;
+    // fill in fields added since the record was written
+    const defaults = createInitialState();
+    const state = { ...defaults, ...rec.state, rules: { ...defaults.rules, ...rec.state.rules } };
+    // records from before results had reasons: only a timeout leaves no trace on the board
+    if (!state.result && state.winner) state.result = checkResult(state) || { winner: state.winner, reason: "timeout" };
+    const room = {
+      id: rec.id,
+      state,
+      version: Number.isInteger(state.version) ? state.version : 0,
+      players: { white: null, black: null },
+      // records from before seat tokens get fresh links
+      tokens: {
+        white: typeof rec.tokens?.white === "string" ? rec.tokens.white : newSeatToken(),
+        black: typeof rec.tokens?.black === "string" ? rec.tokens.black : newSeatToken()
+      },
+      bots: { white: null, black: null },
+      engines: { white: null, black: null },
+      webhooks: {
+        white: isWebhookUrl(rec.webhooks?.white) ? rec.webhooks.white : null,
+        black: isWebhookUrl(rec.webhooks?.black) ? rec.webhooks.black : null
+      },
+      chat: restoreChat(rec.chat),
+      games: Array.isArray(rec.games) ? rec.games : [],
+      createdAt: rec.createdAt || Date.now(),
+      lastActivity: rec.lastActivity || Date.now()
+    };
+    for (const seat of SEATS) if (LEVELS[rec.bots?.[seat]]) setBot(room, seat, rec.bots[seat]);
+    // downtime is not charged to whoever was to move
+    const clock = room.state.clock;
+    if (clock && clock.runningSince !== null) room.state.clock = { ...clock, runningSince: Date.now() };
+    rooms.set(rec.id, room);
   }
-  return out;
-}
-
-function listKingCaptures(board, r, c, side, flyingCapture) {
-  if (!flyingCapture) {
-    // short king capture (2 steps)
-    const out = [];
-    for (const dr of [-1, +1]) for (const dc of [-1, +1]) {
-      const r1 = r + dr, c1 = c + dc;
-      const r2 = r + 2 * dr, c2 = c + 2 * dc;
-      if (!inBounds(r2, c2)) continue;
-      const mid = board[r1]?.[c1];
-      if (mid && sign(mid) === -side && board[r2][c2] === 0) {
-        out.push({ from: { r, c }, over: { r: r1, c: c1 }, to: { r: r2, c: c2 } });
-      }
+}
+
+function connectedCount(roomId) { return io.sockets.adapter.rooms.get(roomId)?.size || 0; }
+
+function presenceOf(room) {
+  return {
+    players: { white: !!room.players.white, black: !!room.players.black },
+    bots: { ...room.bots },
+    engines: { ...room.engines }
+  };
+}
+
+function lobbyEntry(room) {
+  const { players, bots, engines } = presenceOf(room);
+  const humans = SEATS.filter(seat => players[seat] && !bots[seat] && !engines[seat]).length;
+  return {
+    roomId: room.id,
+    players,
+    bots,
+    spectators: Math.max(0, connectedCount(room.id) - humans),
+    turn: room.state.turn,
+    result: room.state.result,
+    variant: room.state.variant,
+    lastActivity: room.lastActivity
+  };
+}
+
+// Drop rooms nobody is connected to and nobody has touched for ROOM_IDLE_MS.
+// A game on a running clock stays (correspondence players are rarely
+// connected); it ends by the flag at the latest.
+function sweepIdleRooms() {
+  const now = Date.now();
+  for (const [roomId, room] of rooms) {
+    if (roomId === DEFAULT_ROOM) continue;
+    if (connectedCount(roomId) > 0) continue;
+    const { clock, result } = room.state;
+    if (!result && clock && clock.runningSince !== null) continue;
+    if (now - room.lastActivity > ROOM_IDLE_MS) {
+      clearTimeout(room.flagTimer);
+      clearTimeout(room.engineTimer);
+      rooms.delete(roomId);
+      store.remove(roomId).catch(err => {
+        console.error(`storage: removing room ${roomId} failed: ${err.message}`);
+      });
     }
-    return out;
   }
+}
 
-  // flying capture: jump exactly one enemy, land on any empty beyond
-  const out = [];
-  for (const dr of [-1, +1]) {
-    for (const dc of [-1, +1]) {
-      let rr = r + dr, cc = c + dc;
-      let seenEnemy = null;
-      while (inBounds(rr, cc)) {
-        const cell = board[rr][cc];
-        if (cell === 0) {
-          if (seenEnemy) {
-            out.push({ from: { r, c }, over: { r: seenEnemy.r, c: seenEnemy.c }, to: { r: rr, c: cc } });
-          }
-          rr += dr; cc += dc;
-          continue;
-        }
-        const s = sign(cell);
-        if (s === side) break;
-        if (s === -side) {
-          if (seenEnemy) break; // can't jump two
-          seenEnemy = { r: rr, c: cc };
-          rr += dr; cc += dc;
-          continue;
-        }
-        break;
-      }
-    }
+// ------------------- Game Actions -------------------
+// Every way a move can arrive (socket, computer player) goes through these.
+// They throw an ActionError when the action is not allowed.
+
+// Stamps the next version on room.state; it keeps counting across resets and
+// imports, so a client's version never matches a board it has not seen
+function commitState(room) {
+  room.state.version = ++room.version;
+  recordGame(room);
+  touchRoom(room);
+  persistRoom(room);
+  io.to(room.id).emit("state", { state: room.state, now: Date.now() });
+  scheduleFlag(room);
+  scheduleBot(room);
+  offerEngineTurn(room);
+}
+
+// Finished games stay in room.games for the statistics. A finish that is
+// taken back is dropped again (and recorded anew when the game ends).
+const GAMES_KEPT = 1000;
+
+function recordGame(room) {
+  const state = room.state;
+  const last = room.games[room.games.length - 1];
+  const recorded = last?.startedAt === state.startedAt;
+  if (!state.result || state.imported) {
+    if (recorded && !state.imported) room.games.pop();
+    return;
   }
-  return out;
+  if (recorded && last.plies === state.history.length && last.result.reason === state.result.reason) return;
+  if (recorded) room.games.pop();
+  room.games.push(gameRecord(state));
+  if (room.games.length > GAMES_KEPT) room.games.splice(0, room.games.length - GAMES_KEPT);
 }
 
-function listCapturesForPiece(board, r, c, rules) {
-  const piece = board[r][c];
-  if (!piece) return [];
-  const side = sign(piece);
-  if (isKing(piece)) return listKingCaptures(board, r, c, side, rules.flyingKingCapture);
-  return listManCaptures(board, r, c, side, rules.menBackwardCapture);
+// Actions from a client carry the state version they were made on
+function assertUpToDate(room, version) {
+  if (version !== room.state.version) throw new ActionError("STALE_STATE");
 }
 
-function listMovesForPiece(board, r, c, rules) {
-  const piece = board[r][c];
-  if (!piece) return [];
-  const side = sign(piece);
-  if (isKing(piece)) return listKingMoves(board, r, c, rules.flyingKingMove);
-  return listManMoves(board, r, c, side);
+function assertCanAct(room, side) {
+  if (checkFlag(room) || room.state.result) throw new ActionError("GAME_OVER");
+  if (room.state.turn !== side) throw new ActionError("NOT_YOUR_TURN");
 }
 
-function anyCaptureAvailable(board, side, rules) {
-  for (let r = 0; r < 8; r++) for (let c = 0; c < 8; c++) {
-    if (sign(board[r][c]) === side && listCapturesForPiece(board, r, c, rules).length) return true;
-  }
-  return false;
+function makeStep(room, side, from, to) {
+  assertCanAct(room, side);
+  const state = room.state;
+
+  // If rules.mustCapture is true, captures should be prioritized but
+  // non-capture is still allowed (penalty toggle decides).
+  const { state: next, error } = stepAction(state, from, to);
+  if (error) throw new ActionError(error);
+  room.state = advanceClock(state, next, Date.now());
+  room.state.takebackRequest = null;
+  room.state.drawOffer = null;
+
+  commitState(room);
+  if (room.state.turn !== state.turn) notifyTurn(room);
+}
+
+function endSequence(room, side) {
+  assertCanAct(room, side);
+  const state = room.state;
+
+  const { state: next, error } = endCaptureAction(state);
+  if (error) throw new ActionError(error);
+  room.state = advanceClock(state, next, Date.now());
+
+  commitState(room);
+  notifyTurn(room);
 }
 
-function applyMoveWithRules(state, move) {
-  const board = state.board;
-  const rules = state.rules;
-  const fr = move.from.r, fc = move.from.c, tr = move.to.r, tc = move.to.c;
-  const piece = board[fr][fc];
-  const side = sign(piece);
+// Huff penalty: the side to move answers the opponent's skipped capture
+function decideHuff(room, side, choice) {
+  assertCanAct(room, side);
+  const state = room.state;
 
-  const newBoard = cloneBoard(board);
-  newBoard[fr][fc] = 0;
+  const { state: next, error } = huffAction(state, choice);
+  if (error) throw new ActionError(error);
 
-  // Is capture?
-  const caps = listCapturesForPiece(board, fr, fc, rules);
-  const capMatch = caps.find(x => x.to.r === tr && x.to.c === tc);
+  room.state = advanceClock(state, next, Date.now());
+  room.state.takebackRequest = null;
+  room.state.drawOffer = null;
 
-  let isCapture = false;
-  let capturedPos = null;
+  commitState(room);
+  if (room.state.turn !== state.turn) notifyTurn(room);
+}
+
+// Ends the game now, stopping the clock
+function finishGame(room, result) {
+  const prev = room.state;
+  room.state = advanceClock(prev, endGame(prev, result), Date.now());
+  commitState(room);
+}
+
+// Starting over while a game is under way resigns it, so that it still
+// counts in the score
+function resignRunningGame(room, role) {
+  const { history, result } = room.state;
+  if (history.length && !result) finishGame(room, { winner: role === "white" ? -1 : 1, reason: "resign" });
+}
+
+// Only what the engine knows survives, with the right types
+function sanitizeRules(rules) {
+  return {
+    mustCapture: !!rules.mustCapture,
+    skipCapturePenaltyRemoveMoved: !!rules.skipCapturePenaltyRemoveMoved,
+    penaltyMode: (["huff", "strict"].includes(rules.penaltyMode) ? rules.penaltyMode : "removeMoved"),
+    multiCapture: (rules.multiCapture === "forced" ? "forced" : "optional"),
+    flyingKingMove: !!rules.flyingKingMove,
+    flyingKingCapture: !!rules.flyingKingCapture,
+    menBackwardCapture: !!rules.menBackwardCapture,
+    promotion: (["continue", "pass"].includes(rules.promotion) ? rules.promotion : "stop"),
+    maxCapture: !!rules.maxCapture,
+    repetitionDraw: !!rules.repetitionDraw,
+    kingMovesDraw: Math.min(100, Math.max(0, Math.floor(Number(rules.kingMovesDraw) || 0)))
+  };
+}
 
-  if (capMatch) {
-    isCapture = true;
-    capturedPos = capMatch.over;
-    newBoard[capturedPos.r][capturedPos.c] = 0;
+// Puts agreed rules in force. Once a move is played they belong to that game,
+// so new rules (or another variant) mean a new game; the clock setting stays.
+function acceptRules(room, { by, variant, rules }) {
+  const prev = room.state;
+  const started = prev.history.length > 0 || !!prev.result;
+  if (started || variant !== prev.variant) {
+    room.state = createInitialState(null, variant);
+    room.state.clock = createClock(prev.clock?.control);
+    if (!started) room.state.rulesHistory = prev.rulesHistory;
   }
+  room.state.rules = rules;
+  room.state.rulesHistory = [...room.state.rulesHistory, { variant, rules, by, at: Date.now() }];
+  room.state.rulesProposal = null;
+  commitState(room);
+}
+
+// A new game in the room, from the standard start or a set-up position: the
+// time control, variant and agreed rules belong to the room and survive.
+function newGame(prev, setup = null) {
+  const state = createInitialState(setup, prev.variant);
+  state.clock = createClock(prev.clock?.control);
+  state.rules = prev.rules;
+  state.rulesHistory = prev.rulesHistory.slice(-1);
+  state.rulesProposal = prev.rulesProposal;
+  return state;
+}
+
+function acceptTakeback(room) {
+  const prev = room.state;
+  const side = prev.takebackRequest === "white" ? 1 : -1;
+  const kept = prev.history.slice(0, prev.history.length - takebackCount(prev.history, side));
+  room.state = replayHistory(prev, kept);
+  room.state.clock = resumeClock(prev.clock, prev.turn, Date.now());
+  room.state.takebackRequest = null;
+  commitState(room);
+}
+
+// ------------------- Clocks -------------------
+// Returns true if the side to move has run out of time (and ends the game).
+function checkFlag(room) {
+  const now = Date.now();
+  if (!isFlagged(room.state, now)) return false;
+  room.state = applyTimeout(room.state, now);
+  commitState(room);
+  return true;
+}
+
+function scheduleFlag(room) {
+  clearTimeout(room.flagTimer);
+  const { clock, turn, result } = room.state;
+  if (!clock || result || clock.runningSince === null) return;
+  const ms = clockRemaining(clock, turn, turn, Date.now());
+  room.flagTimer = setTimeout(() => {
+    if (rooms.get(room.id) === room) checkFlag(room);
+  }, Math.max(0, ms) + 50);
+  room.flagTimer.unref();
+}
+
+// ------------------- Computer Player -------------------
+// A bot seat is marked with BOT in room.players and its level in room.bots.
+const BOT = "bot";
+const BOT_MIN_THINK_MS = 500; // don't answer instantly, the move would be easy to miss
+
+function searchInWorker(state, level) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./lib/ai-worker.js", import.meta.url), { workerData: { state, level } });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", () => resolve(null));
+  });
+}
 
-  // Place piece
-  let placed = piece;
+function scheduleBot(room) {
+  const state = room.state;
+  const seat = state.turn === 1 ? "white" : "black";
+  if (!room.bots[seat] || state.result || state.takebackRequest || room.botThinking) return;
+  playBotTurn(room, seat).catch(err => {
+    console.error(`bot: room ${room.id} failed: ${err.message}`);
+  });
+}
+
+async function playBotTurn(room, seat) {
+  const state = room.state;
+  const level = room.bots[seat];
+  const started = Date.now();
+
+  room.botThinking = true;
+  try {
+    const turn = await searchInWorker(state, level);
+    const wait = BOT_MIN_THINK_MS - (Date.now() - started);
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
 
-  // Kinging: only when man reaches last row
-  if (!isKing(piece)) {
-    if (side === 1 && tr === 0) placed = 2;
-    if (side === -1 && tr === 7) placed = -2;
+    if (rooms.get(room.id) !== room) return;
+    // position or bot changed while thinking: nothing to play, search again below
+    const stale = room.state !== state || room.bots[seat] !== level;
+    if (!stale) {
+      if (!turn) return;
+      try {
+        playTurn(room, seat === "white" ? 1 : -1, turn);
+      } catch (err) {
+        if (!(err instanceof ActionError)) throw err;
+        return; // e.g. the clock ran out
+      }
+    }
+  } finally {
+    room.botThinking = false;
   }
-  newBoard[tr][tc] = placed;
-
-  // Penalty rule: if capture existed anywhere, but player chose non-capture,
-  // then moved piece is removed after moving
-  const captureWasAvailable = anyCaptureAvailable(board, side, rules);
-  let penaltyRemoved = false;
-  if (rules.mustCapture && rules.skipCapturePenaltyRemoveMoved && captureWasAvailable && !isCapture) {
-    newBoard[tr][tc] = 0;
-    penaltyRemoved = true;
+  scheduleBot(room); // the next search: computer against computer, or a changed position
+}
+
+// A whole turn as turnOptions lists it: a huff decision, or the squares
+// one piece visits
+function playTurn(room, side, turn) {
+  if (turn.huff) return decideHuff(room, side, turn.huff);
+  for (let i = 1; i < turn.path.length; i++) makeStep(room, side, turn.path[i - 1], turn.path[i]);
+  if (room.state.pendingCapture && room.state.turn === side) endSequence(room, side);
+}
+
+// The computer takes a draw unless it thinks it is clearly ahead
+function botAcceptsDraw(room, seat) {
+  const side = seat === "white" ? 1 : -1;
+  return side * evaluate(room.state) < 50;
+}
+
+// The built-in computer or an external engine sits there
+function isComputer(room, seat) { return !!(room.bots[seat] || room.engines[seat]); }
+
+function setBot(room, seat, level) {
+  if (level) {
+    room.bots[seat] = level;
+    room.players[seat] = BOT;
+  } else if (room.bots[seat]) {
+    room.bots[seat] = null;
+    room.players[seat] = null;
   }
+}
 
-  const next = {
-    ...state,
-    board: newBoard,
-    lastMove: { from: move.from, to: move.to, captured: capturedPos, penaltyRemoved },
-    turn: -state.turn
-  };
+// ------------------- Turn Notifications -------------------
+// When the turn passes, the room hears "yourTurn" (the seat's browser alerts
+// if its tab is in the background) and the seat's webhook, if it set one,
+// is POSTed the same payload. Computers are not notified.
+const WEBHOOK_OPTIONS = {
+  attempts: Number(process.env.WEBHOOK_ATTEMPTS) || 3,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  backoffMs: 1000
+};
 
-  return next;
+function notifyTurn(room) {
+  const { state } = room;
+  if (state.result) return;
+  const seat = state.turn === 1 ? "white" : "black";
+  if (isComputer(room, seat)) return;
+
+  const payload = { event: "yourTurn", roomId: room.id, seat, version: state.version, lastMove: state.lastMove, at: Date.now() };
+  io.to(room.id).emit("yourTurn", payload);
+
+  const url = room.webhooks[seat];
+  if (!url) return;
+  deliverWebhook(url, payload, WEBHOOK_OPTIONS).then(res => {
+    if (!res.ok) console.warn(`webhook: room ${room.id} ${seat} failed after ${res.attempts} attempt(s): ${res.error || res.status}`);
+  });
 }
 
-function countPieces(board, side) {
-  let n = 0;
-  for (let r = 0; r < 8; r++) for (let c = 0; c < 8; c++) if (sign(board[r][c]) === side) n++;
-  return n;
+// ------------------- Chat -------------------
+// Kept with the room (see shared/chat.js). Chat actions have their own, slower
+// rate limit, so talking never uses up what a player needs to move.
+const CHAT_LIMITS = { burst: 5, perSecond: 0.5 };
+
+// A spectator's id in one room: from the key their browser keeps, so a mute
+// survives a reload, but not linkable across rooms
+function viewerIdOf(roomId, key) {
+  return crypto.createHash("sha256").update(`${roomId}:${key}`).digest("hex").slice(0, 8);
 }
 
-function hasAnyLegalMove(state, side) {
-  const { board, rules } = state;
-  // even if capture exists, a non-capture might still be allowed (with/without penalty), depending on rules
-  for (let r = 0; r < 8; r++) for (let c = 0; c < 8; c++) {
-    if (sign(board[r][c]) !== side) continue;
-    if (listCapturesForPiece(board, r, c, rules).length) return true;
-    if (listMovesForPiece(board, r, c, rules).length) return true;
-  }
-  return false;
+function postToChat(room, message) {
+  room.chat = addMessage(room.chat, message);
+  touchRoom(room);
+  persistRoom(room);
+  io.to(room.id).emit("chatMessage", message);
 }
 
-function checkWinner(state) {
-  const white = countPieces(state.board, 1);
-  const black = countPieces(state.board, -1);
-  if (white === 0) return -1;
-  if (black === 0) return 1;
-  if (!hasAnyLegalMove(state, state.turn)) return -state.turn;
-  return 0;
+// After moderation everyone gets the whole chat again
+function chatChanged(room) {
+  persistRoom(room);
+  io.to(room.id).emit("chat", room.chat);
 }
 
 // ------------------- Socket Handling -------------------
+function roleOf(room, socketId) {
+  return room.players.white === socketId ? "white" :
+         room.players.black === socketId ? "black" : "spectator";
+}
+
+const SEAT_TOKEN_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const isToken = v => v == null || (typeof v === "string" && SEAT_TOKEN_RE.test(v));
+const isTimeControl = v => v === null || (typeof v === "object" && !Array.isArray(v));
+const isBoard = v => Array.isArray(v) && v.length <= 10 &&
+  v.every(row => Array.isArray(row) && row.length <= 10 && row.every(Number.isInteger)); // the rest is setupProblem's
+
+// A bug in a handler: logged, and answered as INTERNAL instead of taking the
+// process (and every room) down
+function internalError(what, err) {
+  console.error(`${what} failed:`, err);
+  return new ActionError("INTERNAL");
+}
+
+// Returns on(event, schema, handler) registering a client action on `socket`:
+// rate limit (`limits` as for createRateLimiter), validate the payload against
+// `schema` (plus `common`), run `handler` and acknowledge { ok: true, ...returned }
+// or { ok: false, error, message? }.
+function actionsFor(socket, common = {}, limits = {}) {
+  const limiter = createRateLimiter(limits);
+  return function on(event, schema, handler) {
+    socket.on(event, (...args) => {
+      const ack = typeof args[args.length - 1] === "function" ? args.pop() : () => {};
+      const payload = args[0] ?? {};
+      if (!limiter.take()) return ack({ ok: false, error: "RATE_LIMITED" });
+      if (!validate({ ...common, ...schema }, payload)) return ack({ ok: false, error: "BAD_REQUEST" });
+      try {
+        ack({ ok: true, ...handler(payload) });
+      } catch (err) {
+        ack(errorReply(err instanceof ActionError ? err : internalError(`event ${event}`, err)));
+      }
+    });
+  };
+}
+
 io.on("connection", (socket) => {
-  socket.on("joinRoom", ({ roomId, seat, clientId }) => {
-    // force fixed room (ignore user-supplied)
-    roomId = FIXED_ROOM;
+  // The room this socket joined; all later events act on it
+  const currentRoom = () => rooms.get(socket.data.roomId);
+  const on = actionsFor(socket, { roomId: "string?" });
+  const onChat = actionsFor(socket, { roomId: "string?" }, CHAT_LIMITS);
 
+  function joinedRoom() {
+    const room = currentRoom();
+    if (!room) throw new ActionError("NOT_IN_ROOM");
+    return room;
+  }
+
+  // The room and this socket's seat; spectators may not act
+  function seated() {
+    const room = joinedRoom();
+    const role = roleOf(room, socket.id);
+    if (role === "spectator") throw new ActionError("FORBIDDEN");
+    return { room, role, side: role === "white" ? 1 : -1 };
+  }
+
+  // Room settings are the white seat's (the room owner's)
+  function owner() {
+    const s = seated();
+    if (s.role !== "white") throw new ActionError("FORBIDDEN");
+    return s;
+  }
+
+  // Who is talking: a seat, or a spectator unless muted
+  function author() {
+    const room = joinedRoom();
+    const role = roleOf(room, socket.id);
+    if (role !== "spectator") return { room, from: role, channel: channelOf(role) };
+    if (isMuted(room.chat, socket.data.viewer)) throw new ActionError("MUTED");
+    return { room, from: "spectator", channel: channelOf("spectator"), viewer: socket.data.viewer };
+  }
+
+  on("joinRoom", { seat: ["white", "black", null, undefined], token: isToken, viewer: isToken }, ({ roomId, seat, token, viewer }) => {
+    if (typeof roomId !== "string" || !ROOM_ID_RE.test(roomId)) roomId = DEFAULT_ROOM;
+    if (socket.data.roomId) throw new ActionError("ALREADY_IN_ROOM"); // one room per connection
+
+    // whoever opens a room that does not exist yet owns it, as with /new
+    const fresh = !rooms.has(roomId);
     const room = getRoom(roomId);
+    if (fresh) {
+      seat = "white";
+      token = room.tokens.white;
+      persistRoom(room);
+    }
+
     let role = "spectator";
+    if (SEATS.includes(seat) && tokenMatches(room, seat, token)) {
+      role = seat;
+      if (room.bots[seat]) setBot(room, seat, null); // a returning player replaces the computer
+      else unseat(room, seat, "otherDevice"); // the same link opened elsewhere
+      room.players[seat] = socket.id;
+    }
+
+    socket.data.roomId = roomId;
+    socket.data.viewer = viewerIdOf(roomId, viewer || socket.id);
+    touchRoom(room);
+    socket.join(roomId);
+    socket.emit("roomJoined", {
+      roomId, role, state: room.state, now: Date.now(), tokens: seatTokensFor(room, role),
+      webhook: role === "spectator" ? null : room.webhooks[role], // only the seat sees its own
+      chat: room.chat,
+      viewer: role === "spectator" ? socket.data.viewer : null
+    });
+    io.to(roomId).emit("presence", presenceOf(room));
+    return { role };
+  });
+
+  // Owner: new secret for a seat; the old link stops working and its holder is unseated
+  on("renewSeatLink", { seat: "seat" }, ({ seat }) => {
+    const { room } = owner();
+
+    room.tokens[seat] = newSeatToken();
+    if (room.players[seat] !== socket.id) {
+      unseat(room, seat, "revoked");
+      room.webhooks[seat] = null; // the next holder of the link sets their own
+    }
+
+    touchRoom(room);
+    persistRoom(room);
+    socket.emit("seatTokens", seatTokensFor(room, "white"));
+    io.to(room.id).emit("presence", presenceOf(room));
+  });
+
+  // A player gives up their seat; the link stays valid
+  on("releaseSeat", {}, () => {
+    const { room, role } = seated();
+
+    unseat(room, role, "released");
+    touchRoom(room);
+    io.to(room.id).emit("presence", presenceOf(room));
+  });
+
+  // Rules change only by agreement: either seat proposes (a proposal from the
+  // other side is a counter-proposal and replaces the open one)
+  on("proposeRules", { rules: "object", variant: [...Object.keys(VARIANTS), undefined] }, ({ rules, variant }) => {
+    const { room, role } = seated();
+    const proposal = { by: role, variant: variant || room.state.variant, rules: sanitizeRules(rules) };
+
+    // the computer always agrees
+    const opponent = role === "white" ? "black" : "white";
+    if (isComputer(room, opponent)) return acceptRules(room, proposal);
+
+    room.state.rulesProposal = proposal;
+    commitState(room);
+  });
+
+  // The opponent accepts or declines; the proposer may withdraw
+  on("answerRules", { accept: "boolean" }, ({ accept }) => {
+    const { room, role } = seated();
+
+    const proposal = room.state.rulesProposal;
+    if (!proposal || (accept && proposal.by === role)) throw new ActionError("NO_REQUEST");
 
-    if (clientId && room.clientMap.has(clientId)) {
-      role = room.clientMap.get(clientId);
-      if (role === "white") room.players.white = socket.id;
-      if (role === "black") room.players.black = socket.id;
+    if (accept) {
+      acceptRules(room, proposal);
     } else {
-      if (seat === "white") {
-        if (!room.players.white) { room.players.white = socket.id; role = "white"; }
-      } else if (seat === "black") {
-        if (!room.players.black) { room.players.black = socket.id; role = "black"; }
-      }
-      if (role === "spectator") {
-        if (!room.players.white) { room.players.white = socket.id; role = "white"; }
-        else if (!room.players.black) { room.players.black = socket.id; role = "black"; }
-      }
-      if (clientId && (role === "white" || role === "black")) room.clientMap.set(clientId, role);
+      room.state.rulesProposal = null;
+      commitState(room);
     }
+  });
 
-    socket.join(roomId);
-    socket.emit("roomJoined", { roomId, role, state: room.state });
-    io.to(roomId).emit("presence", { players: { white: !!room.players.white, black: !!room.players.black } });
+  // Where the seat wants to hear that it is their turn (null = nowhere)
+  on("setWebhook", { url: v => v === null || isWebhookUrl(v) }, ({ url }) => {
+    const { room, role } = seated();
+    room.webhooks[role] = url;
+    persistRoom(room);
+    return { url };
   });
 
-  socket.on("updateRules", ({ roomId, rules }) => {
-    roomId = FIXED_ROOM;
-    const room = rooms.get(roomId);
-    if (!room) return;
+  on("setTimeControl", { control: isTimeControl }, ({ control }) => {
+    const { room } = owner(); // like the seat links
+    if (room.state.history.length) throw new ActionError("GAME_STARTED");
 
-    const role = room.players.white === socket.id ? "white" :
-                 room.players.black === socket.id ? "black" : "spectator";
-    if (role !== "white") return; // only Chris by default
-
-    room.state.rules = {
-      mustCapture: !!rules.mustCapture,
-      skipCapturePenaltyRemoveMoved: !!rules.skipCapturePenaltyRemoveMoved,
-      multiCapture: (rules.multiCapture === "forced" ? "forced" : "optional"),
-      flyingKingMove: !!rules.flyingKingMove,
-      flyingKingCapture: !!rules.flyingKingCapture,
-      menBackwardCapture: !!rules.menBackwardCapture
-    };
+    room.state.clock = createClock(normalizeTimeControl(control));
+    commitState(room);
+  });
 
-    io.to(roomId).emit("state", { state: room.state });
+  on("makeMove", { from: "square", to: "square", version: "integer" }, ({ from, to, version }) => {
+    const { room, side } = seated();
+    assertUpToDate(room, version);
+    makeStep(room, side, from, to);
   });
 
-  socket.on("makeMove", ({ roomId, from, to }) => {
-    roomId = FIXED_ROOM;
-    const room = rooms.get(roomId);
-    if (!room) return;
+  on("endCapture", { version: "integer" }, ({ version }) => {
+    const { room, side } = seated();
+    assertUpToDate(room, version);
+    endSequence(room, side);
+  });
+
+  on("decideHuff", { remove: "square?", forceCapture: "boolean?", version: "integer" }, ({ remove, forceCapture, version }) => {
+    const { room, side } = seated();
+    assertUpToDate(room, version);
+    decideHuff(room, side, { remove, forceCapture: !!forceCapture });
+  });
+
+  // The current state, unless the client already has this version
+  on("resync", { version: "integer?" }, ({ version }) => {
+    const room = joinedRoom();
+    return { state: version === room.state.version ? null : room.state, now: Date.now() };
+  });
+
+  on("requestTakeback", {}, () => {
+    const { room, role, side } = seated();
+    if (room.state.takebackRequest) throw new ActionError("ALREADY_PENDING");
+    if (!takebackCount(room.state.history, side)) throw new ActionError("NOTHING_TO_UNDO");
+
+    room.state.takebackRequest = role;
 
-    const role =
-      room.players.white === socket.id ? "white" :
-      room.players.black === socket.id ? "black" : "spectator";
-    if (role === "spectator") return;
+    // the computer always agrees
+    const opponent = role === "white" ? "black" : "white";
+    if (isComputer(room, opponent)) acceptTakeback(room);
+    else commitState(room);
+  });
 
-    const side = role === "white" ? 1 : -1;
-    const state = room.state;
+  on("answerTakeback", { accept: "boolean" }, ({ accept }) => {
+    const { room, role } = seated();
 
-    if (state.winner !== 0) return;
-    if (state.turn !== side) return;
+    const by = room.state.takebackRequest;
+    if (!by || by === role) throw new ActionError("NO_REQUEST"); // only the opponent answers
 
-    const fr = from?.r, fc = from?.c, tr = to?.r, tc = to?.c;
-    if (![fr, fc, tr, tc].every(Number.isInteger)) return;
-    if (![fr, fc, tr, tc].every(v => v >= 0 && v < 8)) return;
+    if (accept) {
+      acceptTakeback(room);
+    } else {
+      room.state.takebackRequest = null;
+      commitState(room);
+    }
+  });
 
-    const piece = state.board[fr][fc];
-    if (sign(piece) !== side) return;
-    if (state.board[tr][tc] !== 0) return;
+  on("offerDraw", {}, () => {
+    const { room, role } = seated();
+    if (room.state.result) throw new ActionError("GAME_OVER");
+    if (room.state.drawOffer) throw new ActionError("ALREADY_PENDING");
 
-    const caps = listCapturesForPiece(state.board, fr, fc, state.rules);
-    const moves = listMovesForPiece(state.board, fr, fc, state.rules);
+    const opponent = role === "white" ? "black" : "white";
+    if (room.bots[opponent]) {
+      const accepted = botAcceptsDraw(room, opponent);
+      if (accepted) finishGame(room, { winner: 0, reason: "agreement" });
+      return { accepted };
+    }
+    if (room.engines[opponent]) return { accepted: false }; // engines only play moves
 
-    const isCap = caps.some(x => x.to.r === tr && x.to.c === tc);
-    const isMove = moves.some(x => x.to.r === tr && x.to.c === tc);
+    room.state.drawOffer = role;
+    commitState(room);
+  });
 
-    if (!isCap && !isMove) return;
+  on("answerDraw", { accept: "boolean" }, ({ accept }) => {
+    const { room, role } = seated();
+    if (room.state.result) throw new ActionError("GAME_OVER");
 
-    // If rules.mustCapture is true, captures should be prioritized but
-    // non-capture is still allowed (penalty toggle decides).
-    room.state = applyMoveWithRules(state, { from: { r: fr, c: fc }, to: { r: tr, c: tc } });
+    const by = room.state.drawOffer;
+    if (!by || by === role) throw new ActionError("NO_REQUEST"); // only the opponent answers
 
-    const w = checkWinner(room.state);
-    if (w !== 0) room.state.winner = w;
+    if (accept) {
+      finishGame(room, { winner: 0, reason: "agreement" });
+    } else {
+      room.state.drawOffer = null;
+      commitState(room);
+    }
+  });
+
+  on("resign", {}, () => {
+    const { room, role } = seated();
+    if (room.state.result) throw new ActionError("GAME_OVER");
 
-    io.to(roomId).emit("state", { state: room.state });
+    finishGame(room, { winner: role === "white" ? -1 : 1, reason: "resign" });
   });
 
-  socket.on("resetGame", () => {
-    const room = rooms.get(FIXED_ROOM);
-    if (!room) return;
+  // Replaces the game with an imported one, on the rules agreed for the room:
+  // not while a game is running, and other rules need a proposal first
+  on("importPdn", { pdn: v => typeof v === "string" && v.length <= 100_000 }, ({ pdn }) => {
+    const { room, role } = seated();
+    const prev = room.state;
+    if (prev.history.length && !prev.result) throw new ActionError("GAME_STARTED");
+
+    let state;
+    try {
+      state = loadPdnGame(pdn, prev.rules, prev.variant);
+    } catch (err) {
+      if (!(err instanceof PdnError)) throw err;
+      throw new ActionError("PDN_INVALID", err.key, err.params);
+    }
+    const rules = sanitizeRules(state.rules);
+    if (state.variant !== prev.variant || Object.keys(rules).some(k => rules[k] !== prev.rules[k])) {
+      throw new ActionError("PDN_INVALID", "otherRules");
+    }
+
+    room.state = state;
+    room.state.clock = createClock(prev.clock?.control);
+    room.state.rulesHistory = [{ variant: state.variant, rules, by: role, at: Date.now() }];
+    room.state.imported = true; // not played here: left out of the statistics
+    commitState(room);
+  });
+
+  on("setBot", { seat: "seat", level: [...Object.keys(LEVELS), null] }, ({ seat, level }) => {
+    const { room } = seated();
+    if (level && room.players[seat] && !room.bots[seat]) throw new ActionError("SEAT_TAKEN"); // a person sits there
+
+    setBot(room, seat, level);
+
+    touchRoom(room);
+    persistRoom(room);
+    io.to(room.id).emit("presence", presenceOf(room));
+    scheduleBot(room);
+  });
+
+  // "custom" starts again from the position this game was set up from
+  on("resetGame", { setup: ["standard", "custom", undefined] }, ({ setup }) => {
+    const { room, role } = seated();
+
+    if (setup === "custom" && !room.state.setup) throw new ActionError("SETUP_INVALID", "none");
+    resignRunningGame(room, role);
+    const prev = room.state;
+    room.state = newGame(prev, setup === "custom" ? prev.setup : null);
+    commitState(room);
+  });
+
+  // A new game from the editor's position, if it can be played
+  on("setPosition", { board: isBoard, turn: [1, -1] }, ({ board, turn }) => {
+    const { room, role } = seated();
+
+    const problem = setupProblem({ board, turn }, room.state.variant, room.state.rules);
+    if (problem) throw new ActionError("SETUP_INVALID", problem);
+    resignRunningGame(room, role);
+    room.state = newGame(room.state, { board, turn });
+    commitState(room);
+  });
+
+  onChat("chat", { text: v => chatText(v) !== null }, ({ text }) => {
+    const { room, ...from } = author();
+    postToChat(room, { kind: "text", ...from, text: chatText(text), at: Date.now() });
+  });
+
+  // An emoji on a move of the current game
+  onChat("react", { emoji: REACTIONS, ply: "integer" }, ({ emoji, ply }) => {
+    const { room, ...from } = author();
+    if (ply < 0 || ply >= room.state.history.length) throw new ActionError("BAD_REQUEST");
+
+    const reaction = { kind: "reaction", ...from, emoji, game: room.state.startedAt, ply, at: Date.now() };
+    if (!hasReacted(room.chat, reaction)) postToChat(room, reaction);
+  });
 
-    const role =
-      room.players.white === socket.id ? "white" :
-      room.players.black === socket.id ? "black" : "spectator";
-    if (role === "spectator") return;
+  // Owner: moderation
+  on("clearChat", {}, () => {
+    const { room } = owner();
+    room.chat = { ...room.chat, messages: [] };
+    chatChanged(room);
+  });
 
-    room.state = createInitialState();
-    io.to(FIXED_ROOM).emit("state", { state: room.state });
+  on("muteSpectator", { viewer: isViewerId, muted: "boolean" }, ({ viewer, muted }) => {
+    const { room } = owner();
+    room.chat = setMuted(room.chat, viewer, muted);
+    chatChanged(room);
   });
 
   socket.on("disconnect", () => {
-    const room = rooms.get(FIXED_ROOM);
+    const room = currentRoom();
     if (!room) return;
+    touchRoom(room);
     let changed = false;
     if (room.players.white === socket.id) { room.players.white = null; changed = true; }
     if (room.players.black === socket.id) { room.players.black = null; changed = true; }
     if (changed) {
-      io.to(FIXED_ROOM).emit("presence", { players: { white: !!room.players.white, black: !!room.players.black } });
+      io.to(room.id).emit("presence", presenceOf(room));
+    }
+  });
+});
+
+// ------------------- External Engines -------------------
+// A program plays a seat over the /bots namespace, authenticated with the
+// seat's token: io("<server>/bots", { auth: { roomId, seat, token, name } }).
+// Whenever the seat is to move it gets
+//   "turn" { roomId, seat, version, state, moves, deadline, now }
+// with every legal whole turn in `moves` ({ path } or { huff }), and answers
+//   "move" { version, path } or { version, huff }
+// (acknowledged like the browser's actions) before `deadline`, or loses on
+// time. Takebacks and rule proposals are accepted for it, draws declined.
+// bots/random.js is a reference engine.
+const ENGINE_MOVE_MS = Number(process.env.ENGINE_MOVE_MS) || 30 * 1000;
+const ENGINE_LIMITS = { burst: 20, perSecond: 20 }; // two engines may play each other at full speed
+
+const isEngineName = v => v === undefined || (typeof v === "string" && v.length >= 1 && v.length <= 32);
+const isPath = v => v === undefined ||
+  (Array.isArray(v) && v.length >= 2 && v.length <= 32 && v.every(sq => validate({ r: "integer", c: "integer" }, sq)));
+
+function offerEngineTurn(room) {
+  clearTimeout(room.engineTimer);
+  const state = room.state;
+  const seat = state.turn === 1 ? "white" : "black";
+  const engine = room.engines[seat] && engineIo.sockets.get(room.players[seat]);
+  // while an engine's path is played step by step the turn is still its own
+  if (!engine || state.result || room.enginePlaying) return;
+
+  const now = Date.now();
+  const moves = turnOptions(state).map(o => (o.huff ? { huff: o.huff } : { path: o.path }));
+  engine.emit("turn", { roomId: room.id, seat, version: state.version, state, moves, deadline: now + ENGINE_MOVE_MS, now });
+
+  room.engineTimer = setTimeout(() => {
+    if (rooms.get(room.id) !== room || room.state.version !== state.version) return;
+    finishGame(room, { winner: -state.turn, reason: "timeout" });
+  }, ENGINE_MOVE_MS);
+  room.engineTimer.unref();
+}
+
+function sameTurn(a, b) {
+  if (a.huff || b.huff) {
+    return !!(a.huff && b.huff) && !!a.huff.forceCapture === !!b.huff.forceCapture &&
+      a.huff.remove?.r === b.huff.remove?.r && a.huff.remove?.c === b.huff.remove?.c;
+  }
+  return a.path.length === b.path.length && a.path.every((sq, i) => sq.r === b.path[i].r && sq.c === b.path[i].c);
+}
+
+engineIo.use((socket, next) => {
+  const auth = socket.handshake.auth;
+  if (!validate({ roomId: "string", seat: "seat", token: "string", name: isEngineName }, auth)) {
+    return next(new Error("BAD_REQUEST"));
+  }
+  const room = rooms.get(auth.roomId);
+  if (!room) return next(new Error("NOT_FOUND"));
+  if (!tokenMatches(room, auth.seat, auth.token)) return next(new Error("FORBIDDEN"));
+  socket.data.roomId = auth.roomId;
+  socket.data.seat = auth.seat;
+  socket.data.name = auth.name || "Engine";
+  next();
+});
+
+engineIo.on("connection", (socket) => {
+  const { roomId, seat, name } = socket.data;
+  const room = rooms.get(roomId);
+  if (!room) return socket.disconnect(true);
+  const side = seat === "white" ? 1 : -1;
+  const on = actionsFor(socket, {}, ENGINE_LIMITS);
+
+  // the engine replaces whoever sat there
+  if (room.bots[seat]) setBot(room, seat, null);
+  else unseat(room, seat, "otherDevice");
+  room.players[seat] = socket.id;
+  room.engines[seat] = name;
+  touchRoom(room);
+  persistRoom(room);
+  io.to(roomId).emit("presence", presenceOf(room));
+  offerEngineTurn(room);
+
+  on("move", { version: "integer", path: isPath, huff: "object?" }, ({ version, path, huff }) => {
+    if (room.players[seat] !== socket.id || rooms.get(roomId) !== room) throw new ActionError("FORBIDDEN");
+    if (!path === !huff) throw new ActionError("BAD_REQUEST"); // exactly one of them
+    assertUpToDate(room, version);
+    assertCanAct(room, side);
+
+    const turn = turnOptions(room.state).find(o => sameTurn(o, huff ? { huff } : { path }));
+    if (!turn) throw new ActionError("ILLEGAL_MOVE");
+
+    room.enginePlaying = true;
+    try {
+      playTurn(room, side, turn);
+    } finally {
+      room.enginePlaying = false;
     }
+    offerEngineTurn(room); // e.g. engine against engine
+  });
+
+  socket.on("disconnect", () => {
+    if (room.players[seat] !== socket.id) return;
+    room.players[seat] = null;
+    room.engines[seat] = null;
+    if (room.state.turn === side) clearTimeout(room.engineTimer);
+    touchRoom(room);
+    io.to(roomId).emit("presence", presenceOf(room));
   });
 });
 
+setInterval(sweepIdleRooms, ROOM_SWEEP_MS).unref();
+
+await loadRooms();
+for (const room of rooms.values()) {
+  scheduleFlag(room);
+  scheduleBot(room);
+}
+
+// The fixed room exists from the start. Its private short links are printed
+// when it is created, to be handed out once (afterwards plain /chris
+// reconnects); start with SHOW_SEAT_LINKS=1 to see them again.
+{
+  const fresh = !rooms.has(DEFAULT_ROOM);
+  const room = getRoom(DEFAULT_ROOM);
+  persistRoom(room);
+  if (fresh || process.env.SHOW_SEAT_LINKS === "1") console.log(`Seat links for ${DEFAULT_ROOM}: /chris/${room.tokens.white} /sandrina/${room.tokens.black}`);
+}
+
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,37 @@
+import { capturesOnly, endCapture, isLegalStep, listMovesForPiece, playStep, resolveHuff, sign } from "./engine.js";
+
+/**
+ * The move actions (makeMove, endCapture, decideHuff) as the server and the
+ * hot-seat game both check them, so they refuse the same things with the same
+ * error codes (lib/protocol.js).
+ *
+ * Each takes the state the side to move acts on and returns { state } with the
+ * next state, or { error } with the code to answer. Whose turn it is, the
+ * state version and the clock are the caller's to check first.
+ */
+
+// One step (a move or one jump of a capture sequence)
+export function stepAction(state, from, to) {
+  if (state.pendingHuff) return { error: "ILLEGAL_MOVE" }; // decide the huff first
+  if (!isLegalStep(state, from, to)) {
+    // a plain move where only captures (or the running sequence) are allowed
+    const plain = sign(state.board[from.r]?.[from.c]) === state.turn &&
+      listMovesForPiece(state.board, from.r, from.c, state.rules).some(m => m.to.r === to.r && m.to.c === to.c);
+    return { error: plain && (state.pendingCapture || capturesOnly(state)) ? "CAPTURE_REQUIRED" : "ILLEGAL_MOVE" };
+  }
+  return { state: playStep(state, { from: { r: from.r, c: from.c }, to: { r: to.r, c: to.c } }) };
+}
+
+// Stop an optional capture sequence
+export function endCaptureAction(state) {
+  if (!state.pendingCapture) return { error: "ILLEGAL_MOVE" };
+  if (state.rules.multiCapture === "forced") return { error: "CAPTURE_REQUIRED" };
+  return { state: endCapture(state) };
+}
+
+// Answer the opponent's skipped capture: { remove } or { forceCapture }
+export function huffAction(state, choice) {
+  if (!state.pendingHuff) return { error: "NO_REQUEST" };
+  const next = resolveHuff(state, choice);
+  return next ? { state: next } : { error: "ILLEGAL_MOVE" };
+}
@@ -0,0 +1,86 @@
+/**
+ * Room chat, kept with the room and shown next to the game.
+ *
+ * Players write in the "players" channel, spectators in "spectators" (which
+ * players can hide). A reaction is an emoji on one move of one game: the game
+ * is its `startedAt`, the move its index in the history.
+ *
+ * A message is
+ *   { kind: "text", channel, from, viewer?, text, at }
+ *   { kind: "reaction", channel, from, viewer?, emoji, game, ply, at }
+ * where `from` is "white", "black" or "spectator" and `viewer` the
+ * spectator's short id (what the room owner mutes).
+ */
+
+export const CHAT_MAX_LENGTH = 300;
+export const CHAT_KEPT = 200; // older messages are dropped
+export const REACTIONS = ["👍", "👏", "😮", "😂", "🤔", "😬"];
+
+const VIEWER_RE = /^[a-f0-9]{8}$/;
+
+export function isViewerId(value) {
+  return typeof value === "string" && VIEWER_RE.test(value);
+}
+
+export function createChat() {
+  return { messages: [], muted: [] };
+}
+
+// The text as posted: control characters out, trimmed; null if nothing is
+// left or it is too long
+export function chatText(value) {
+  if (typeof value !== "string") return null;
+  const text = value.replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, "").trim();
+  return text && text.length <= CHAT_MAX_LENGTH ? text : null;
+}
+
+export function channelOf(from) {
+  return from === "spectator" ? "spectators" : "players";
+}
+
+export function isMuted(chat, viewer) {
+  return !!viewer && chat.muted.includes(viewer);
+}
+
+export function addMessage(chat, message) {
+  return { ...chat, messages: [...chat.messages, message].slice(-CHAT_KEPT) };
+}
+
+// One of each emoji per person and move
+export function hasReacted(chat, { from, viewer, emoji, game, ply }) {
+  return chat.messages.some(m => m.kind === "reaction" && m.from === from && m.viewer === viewer &&
+    m.emoji === emoji && m.game === game && m.ply === ply);
+}
+
+// ply -> { emoji: count } for the moves of `game` that have reactions
+export function reactionsByPly(messages, game) {
+  const byPly = new Map();
+  for (const m of messages) {
+    if (m.kind !== "reaction" || m.game !== game) continue;
+    const counts = byPly.get(m.ply) || {};
+    counts[m.emoji] = (counts[m.emoji] || 0) + 1;
+    byPly.set(m.ply, counts);
+  }
+  return byPly;
+}
+
+export function setMuted(chat, viewer, muted) {
+  const others = chat.muted.filter(v => v !== viewer);
+  return { ...chat, muted: muted ? [...others, viewer] : others };
+}
+
+function validMessage(m) {
+  if (!m || typeof m !== "object" || !Number.isFinite(m.at)) return false;
+  if (!["white", "black", "spectator"].includes(m.from) || m.channel !== channelOf(m.from)) return false;
+  if (m.from === "spectator" && !isViewerId(m.viewer)) return false;
+  if (m.kind === "text") return chatText(m.text) === m.text;
+  if (m.kind === "reaction") return REACTIONS.includes(m.emoji) && Number.isFinite(m.game) && Number.isInteger(m.ply) && m.ply >= 0;
+  return false;
+}
+
+// The chat from a stored room record; anything malformed is left out
+export function restoreChat(saved) {
+  const messages = Array.isArray(saved?.messages) ? saved.messages.filter(validMessage).slice(-CHAT_KEPT) : [];
+  const muted = Array.isArray(saved?.muted) ? saved.muted.filter(isViewerId) : [];
+  return { messages, muted };
+}
@@ -0,0 +1,107 @@
+import { endGame } from "./engine.js";
+
+/**
+ * Game clocks, shared by the server (authoritative) and the browser (display).
+ *
+ * state.clock:
+ *  null (untimed), or {
+ *    control:      { type: "suddenDeath", baseMs }
+ *                | { type: "fischer", baseMs, incrementMs }
+ *                | { type: "correspondence", perMoveMs },
+ *    remaining:    { "1": ms, "-1": ms }  per side, as of runningSince
+ *    runningSince: ms timestamp the side to move's clock started, or null
+ *  }
+ *
+ * Clocks start with the first move; mid capture sequence they keep running
+ * for the same side.
+ */
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+export function normalizeTimeControl(control) {
+  if (!control || typeof control !== "object") return null;
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, Math.round(Number(v) || 0)));
+  switch (control.type) {
+    case "suddenDeath":
+      return { type: "suddenDeath", baseMs: clamp(control.baseMs, MIN, 3 * HOUR) };
+    case "fischer":
+      return {
+        type: "fischer",
+        baseMs: clamp(control.baseMs, MIN, 3 * HOUR),
+        incrementMs: clamp(control.incrementMs, 0, MIN)
+      };
+    case "correspondence":
+      return { type: "correspondence", perMoveMs: clamp(control.perMoveMs, HOUR, 14 * 24 * HOUR) };
+    default:
+      return null;
+  }
+}
+
+function fullTime(control) {
+  return control.type === "correspondence" ? control.perMoveMs : control.baseMs;
+}
+
+export function createClock(control) {
+  if (!control) return null;
+  const t = fullTime(control);
+  return { control, remaining: { 1: t, "-1": t }, runningSince: null };
+}
+
+// Time left for `side` at `now`
+export function clockRemaining(clock, turn, side, now) {
+  const base = clock.remaining[side];
+  if (clock.runningSince === null || side !== turn) return base;
+  return base - (now - clock.runningSince);
+}
+
+export function isFlagged(state, now) {
+  const { clock } = state;
+  if (!clock || state.result || clock.runningSince === null) return false;
+  return clockRemaining(clock, state.turn, state.turn, now) <= 0;
+}
+
+// Charge the running side for the time used so far
+function charge(clock, side, now) {
+  if (clock.runningSince === null) return { ...clock.remaining };
+  return { ...clock.remaining, [side]: clock.remaining[side] - (now - clock.runningSince) };
+}
+
+/**
+ * Clock after `prev` became `next`: the mover is charged (plus increment,
+ * or a fresh allowance in correspondence), and the opponent's clock starts.
+ * Finished games stop the clock.
+ */
+export function advanceClock(prev, next, now) {
+  const clock = next.clock;
+  if (!clock) return next;
+
+  if (next.result) {
+    return { ...next, clock: { ...clock, remaining: charge(clock, prev.turn, now), runningSince: null } };
+  }
+  if (next.turn === prev.turn) return next; // capture sequence continues
+
+  const remaining = charge(clock, prev.turn, now);
+  const { control } = clock;
+  if (control.type === "fischer") remaining[prev.turn] += control.incrementMs;
+  if (control.type === "correspondence") {
+    remaining[prev.turn] = control.perMoveMs;
+    remaining[next.turn] = control.perMoveMs;
+  }
+  return { ...next, clock: { ...clock, remaining, runningSince: now } };
+}
+
+// Keep the clock going for whoever is to move now (e.g. after a takeback)
+export function resumeClock(clock, runningSide, now) {
+  if (!clock || clock.runningSince === null) return clock;
+  return { ...clock, remaining: charge(clock, runningSide, now), runningSince: now };
+}
+
+// The side to move ran out of time: the opponent wins
+export function applyTimeout(state, now) {
+  const { clock } = state;
+  return {
+    ...endGame(state, { winner: -state.turn, reason: "timeout" }),
+    clock: { ...clock, remaining: { ...charge(clock, state.turn, now), [state.turn]: 0 }, runningSince: null }
+  };
+}
@@ -0,0 +1,658 @@
+/**
+ * Rules engine shared by the server and the browser.
+ *
+ * Pure functions only: a state goes in, legal moves, the next state or the
+ * result come out. Nothing here touches sockets, rooms or the DOM.
+ */
+
+const DEFAULT_RULES = {
+  mustCapture: true,
+  skipCapturePenaltyRemoveMoved: true, // skipping a capture is dealt with at all
+  penaltyMode: "removeMoved", // "removeMoved" | "huff" (opponent chooses) | "strict" (not allowed)
+  multiCapture: "optional", // "optional" | "forced"
+  flyingKingMove: true,
+  flyingKingCapture: true,
+  menBackwardCapture: false,
+  promotion: "stop", // man reaching the far row mid-capture: "stop" | "continue" (as king) | "pass" (stays a man unless it ends there)
+  maxCapture: false, // only the sequences taking the most pieces are legal
+  repetitionDraw: true, // same position three times with the same side to move
+  kingMovesDraw: 15     // moves per player with only kings and no capture; 0 = off
+};
+
+/**
+ * Variant presets: board size, rows of men per side, who moves first and
+ * the rules that differ from German Dame.
+ */
+export const VARIANTS = {
+  german: { size: 8, rows: 3, firstTurn: 1, rules: {} },
+  international: {
+    size: 10, rows: 4, firstTurn: 1,
+    rules: { penaltyMode: "strict", multiCapture: "forced", menBackwardCapture: true, promotion: "pass", maxCapture: true }
+  },
+  russian: {
+    size: 8, rows: 3, firstTurn: 1,
+    rules: { penaltyMode: "strict", multiCapture: "forced", menBackwardCapture: true, promotion: "continue" }
+  },
+  english: {
+    size: 8, rows: 3, firstTurn: -1,
+    rules: { penaltyMode: "strict", multiCapture: "forced", flyingKingMove: false, flyingKingCapture: false }
+  }
+};
+
+export function variantRules(variant) {
+  return { ...DEFAULT_RULES, ...(VARIANTS[variant] || VARIANTS.german).rules };
+}
+
+/**
+ * Board:
+ *  size x size (8 or 10), board[0] is Black's back row; dark squares are
+ *  those with (r + c) % 2 === 1
+ * Pieces:
+ *  0 = empty
+ *  1 = White man,  2 = White king
+ * -1 = Black man, -2 = Black king
+ * Turn:
+ *  1 = White to move
+ * -1 = Black to move
+ * pendingCapture:
+ *  null, or { r, c } of the piece that has captured and may (optional) or
+ *  must (forced) capture again before the turn passes
+ * history:
+ *  one entry per turn, oldest first: { side, from, to, path, captured,
+ *  crowned, penaltyRemoved, complete } (complete = the turn has passed)
+ * takebackRequest:
+ *  null, or the seat ("white" | "black") waiting for the opponent's answer
+ * setup:
+ *  null for the standard start, or { board, turn } the game started from
+ * startedAt:
+ *  ms timestamp the game was set up
+ * clock:
+ *  null (untimed) or the game clock, see clock.js
+ * result:
+ *  null while the game runs, then { winner, reason }; winner 1 | -1 | 0 (draw),
+ *  reason "noPieces" | "blocked" | "resign" | "timeout" | "repetition"
+ *  | "moveLimit" | "agreement". `winner` mirrors result.winner.
+ * positions:
+ *  { positionKey: count } since the last irreversible move (repetition draw)
+ * quietKingTurns:
+ *  turns in a row in which only kings moved without capturing
+ * drawOffer:
+ *  null, or the seat ("white" | "black") that offered a draw
+ * pendingHuff:
+ *  "huff" penalty mode only: null, or { offender, candidates, board } after
+ *  a skipped capture. `turn` is already the opponent's, who either blows
+ *  away one of the candidates (pieces that could have captured) or sends the
+ *  position (`board` = before the move) back for the capture to be played.
+ * captureRequired:
+ *  true after such a send-back: the side to move must capture
+ * variant:
+ *  key of VARIANTS the game was set up as
+ * rulesProposal:
+ *  null, or { by, variant, rules } a seat ("white" | "black") waits for the
+ *  opponent to accept; accepting after the first move starts a new game
+ * rulesHistory:
+ *  the rule sets agreed for this game, oldest first: { variant, rules, by, at }.
+ *  The last one is in force; empty = the variant's preset
+ */
+export function createInitialState(setup = null, variant = "german") {
+  if (!VARIANTS[variant]) variant = "german";
+  const { size, rows, firstTurn } = VARIANTS[variant];
+  let board;
+  if (setup) {
+    board = cloneBoard(setup.board);
+  } else {
+    board = Array.from({ length: size }, () => Array(size).fill(0));
+    // Black on top, White on bottom
+    for (let r = 0; r < rows; r++) for (let c = 0; c < size; c++) if ((r + c) % 2 === 1) board[r][c] = -1;
+    for (let r = size - rows; r < size; r++) for (let c = 0; c < size; c++) if ((r + c) % 2 === 1) board[r][c] = 1;
+  }
+
+  const turn = setup ? setup.turn : firstTurn;
+  return {
+    board,
+    turn,
+    winner: 0,
+    result: null,
+    lastMove: null,
+    pendingCapture: null,
+    history: [],
+    takebackRequest: null,
+    setup,
+    startedAt: Date.now(),
+    clock: null,
+    positions: { [positionKey(board, turn)]: 1 },
+    quietKingTurns: 0,
+    drawOffer: null,
+    pendingHuff: null,
+    captureRequired: false,
+    variant,
+    rules: variantRules(variant),
+    rulesProposal: null,
+    rulesHistory: []
+  };
+}
+
+export function sign(piece) { return piece > 0 ? 1 : piece < 0 ? -1 : 0; } // off the board (undefined) is 0
+export function isKing(piece) { return Math.abs(piece) === 2; }
+export function inBounds(board, r, c) { return r >= 0 && r < board.length && c >= 0 && c < board.length; }
+export function cloneBoard(board) { return board.map(row => row.slice()); }
+
+// Compact key of the dark squares plus the side to move
+export function positionKey(board, turn) {
+  let key = turn === 1 ? "W" : "B";
+  const n = board.length;
+  for (let r = 0; r < n; r++) for (let c = (r + 1) % 2; c < n; c += 2) key += ".wWbB"[[0, 1, 2, -1, -2].indexOf(board[r][c])];
+  return key;
+}
+function forwardDir(side) { return side === 1 ? -1 : +1; }
+function isTaken(taken, r, c) { return taken.some(p => p.r === r && p.c === c); }
+
+// ---------- Move generators (respect rules) ----------
+export function listManMoves(board, r, c, side) {
+  const dr = forwardDir(side);
+  const out = [];
+  for (const dc of [-1, +1]) {
+    const r1 = r + dr, c1 = c + dc;
+    if (inBounds(board, r1, c1) && board[r1][c1] === 0) out.push({ from: { r, c }, to: { r: r1, c: c1 } });
+  }
+  return out;
+}
+
+// `taken`: squares the running capture sequence has jumped. Those pieces stay
+// on the board until it ends, so they block, but cannot be jumped again.
+export function listManCaptures(board, r, c, side, allowBackwardCapture, taken = []) {
+  const drs = allowBackwardCapture ? [-1, +1] : [forwardDir(side)];
+  const out = [];
+  for (const dr of drs) {
+    for (const dc of [-1, +1]) {
+      const r1 = r + dr, c1 = c + dc;
+      const r2 = r + 2 * dr, c2 = c + 2 * dc;
+      if (!inBounds(board, r2, c2)) continue;
+      const mid = board[r1]?.[c1];
+      if (mid && sign(mid) === -side && !isTaken(taken, r1, c1) && board[r2][c2] === 0) {
+        out.push({ from: { r, c }, over: { r: r1, c: c1 }, to: { r: r2, c: c2 } });
+      }
+    }
+  }
+  return out;
+}
+
+export function listKingMoves(board, r, c, flying) {
+  if (!flying) {
+    // short king move (1 step)
+    const out = [];
+    for (const dr of [-1, +1]) for (const dc of [-1, +1]) {
+      const rr = r + dr, cc = c + dc;
+      if (inBounds(board, rr, cc) && board[rr][cc] === 0) out.push({ from: { r, c }, to: { r: rr, c: cc } });
+    }
+    return out;
+  }
+
+  const out = [];
+  for (const dr of [-1, +1]) {
+    for (const dc of [-1, +1]) {
+      let rr = r + dr, cc = c + dc;
+      while (inBounds(board, rr, cc) && board[rr][cc] === 0) {
+        out.push({ from: { r, c }, to: { r: rr, c: cc } });
+        rr += dr; cc += dc;
+      }
+    }
+  }
+  return out;
+}
+
+export function listKingCaptures(board, r, c, side, flyingCapture, taken = []) {
+  if (!flyingCapture) {
+    // short king capture (2 steps)
+    const out = [];
+    for (const dr of [-1, +1]) for (const dc of [-1, +1]) {
+      const r1 = r + dr, c1 = c + dc;
+      const r2 = r + 2 * dr, c2 = c + 2 * dc;
+      if (!inBounds(board, r2, c2)) continue;
+      const mid = board[r1]?.[c1];
+      if (mid && sign(mid) === -side && !isTaken(taken, r1, c1) && board[r2][c2] === 0) {
+        out.push({ from: { r, c }, over: { r: r1, c: c1 }, to: { r: r2, c: c2 } });
+      }
+    }
+    return out;
+  }
+
+  // flying capture: jump exactly one enemy, land on any empty beyond
+  const out = [];
+  for (const dr of [-1, +1]) {
+    for (const dc of [-1, +1]) {
+      let rr = r + dr, cc = c + dc;
+      let seenEnemy = null;
+      while (inBounds(board, rr, cc)) {
+        const cell = board[rr][cc];
+        if (cell === 0) {
+          if (seenEnemy) {
+            out.push({ from: { r, c }, over: { r: seenEnemy.r, c: seenEnemy.c }, to: { r: rr, c: cc } });
+          }
+          rr += dr; cc += dc;
+          continue;
+        }
+        const s = sign(cell);
+        if (s === side) break;
+        if (s === -side && !isTaken(taken, rr, cc)) {
+          if (seenEnemy) break; // can't jump two
+          seenEnemy = { r: rr, c: cc };
+          rr += dr; cc += dc;
+          continue;
+        }
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+export function listCapturesForPiece(board, r, c, rules, taken = []) {
+  const piece = board[r][c];
+  if (!piece) return [];
+  const side = sign(piece);
+  if (isKing(piece)) return listKingCaptures(board, r, c, side, rules.flyingKingCapture, taken);
+  return listManCaptures(board, r, c, side, rules.menBackwardCapture, taken);
+}
+
+// Pieces jumped so far by the sequence `state` is in the middle of
+function takenSoFar(state) { return state.pendingCapture ? state.lastMove.captured : []; }
+
+function removeTaken(board, taken) {
+  for (const p of taken) board[p.r][p.c] = 0;
+  return board;
+}
+
+export function listMovesForPiece(board, r, c, rules) {
+  const piece = board[r][c];
+  if (!piece) return [];
+  const side = sign(piece);
+  if (isKing(piece)) return listKingMoves(board, r, c, rules.flyingKingMove);
+  return listManMoves(board, r, c, side);
+}
+
+export function anyCaptureAvailable(board, side, rules) {
+  for (let r = 0; r < board.length; r++) for (let c = 0; c < board.length; c++) {
+    if (sign(board[r][c]) === side && listCapturesForPiece(board, r, c, rules).length) return true;
+  }
+  return false;
+}
+
+export function applyMoveWithRules(state, move) {
+  const board = state.board;
+  const rules = state.rules;
+  const fr = move.from.r, fc = move.from.c, tr = move.to.r, tc = move.to.c;
+  const piece = board[fr][fc];
+  const side = sign(piece);
+  const continuing = !!state.pendingCapture;
+  const takenBefore = takenSoFar(state);
+
+  const newBoard = cloneBoard(board);
+  newBoard[fr][fc] = 0;
+
+  // Is capture? The jumped piece stays on the board until the sequence ends
+  const caps = listCapturesForPiece(board, fr, fc, rules, takenBefore);
+  const capMatch = caps.find(x => x.to.r === tr && x.to.c === tc);
+
+  let isCapture = false;
+  let capturedPos = null;
+
+  if (capMatch) {
+    isCapture = true;
+    capturedPos = capMatch.over;
+  }
+  const taken = capturedPos ? [...takenBefore, capturedPos] : takenBefore;
+
+  // Place piece
+  let placed = piece;
+
+  // Kinging: only when man reaches last row. Mid-capture, rules.promotion
+  // decides: the sequence ends, goes on with the new king, or the man
+  // passes through uncrowned if it can capture on as a man.
+  newBoard[tr][tc] = piece;
+  const farRow = side === 1 ? 0 : board.length - 1;
+  if (!isKing(piece) && tr === farRow) {
+    const passes = isCapture && rules.promotion === "pass" && listCapturesForPiece(newBoard, tr, tc, rules, taken).length > 0;
+    if (!passes) placed = 2 * side;
+  }
+  const crowned = placed !== piece;
+  newBoard[tr][tc] = placed;
+
+  // Penalty rule: if capture existed anywhere, but player chose non-capture,
+  // then moved piece is removed after moving - or, when huffing, the
+  // opponent decides what happens (see resolveHuff)
+  const captureWasAvailable = !continuing && anyCaptureAvailable(board, side, rules);
+  const penalised = rules.mustCapture && rules.skipCapturePenaltyRemoveMoved && captureWasAvailable && !isCapture;
+  let penaltyRemoved = false;
+  let pendingHuff = null;
+  if (penalised && rules.penaltyMode === "huff") {
+    pendingHuff = { offender: side, candidates: huffCandidates(board, side, rules, move), board };
+  } else if (penalised) {
+    newBoard[tr][tc] = 0;
+    penaltyRemoved = true;
+  }
+
+  const prev = continuing ? state.lastMove : null;
+  const lastMove = {
+    side,
+    from: prev ? prev.from : move.from,
+    to: move.to,
+    path: [...(prev ? prev.path : [move.from]), move.to],
+    captured: taken,
+    crowned: (prev ? prev.crowned : false) || crowned,
+    penaltyRemoved
+  };
+
+  // Same piece may jump again: keep the turn and lock it to that piece
+  const canContinue = isCapture && (!crowned || rules.promotion === "continue") &&
+    listCapturesForPiece(newBoard, tr, tc, rules, taken).length > 0;
+  if (!canContinue) removeTaken(newBoard, taken);
+
+  // A continued sequence updates its own history entry instead of adding one
+  const entry = { ...lastMove, complete: !canContinue };
+  const history = continuing ? [...state.history.slice(0, -1), entry] : [...state.history, entry];
+
+  const next = {
+    ...state,
+    board: newBoard,
+    lastMove,
+    history,
+    pendingCapture: canContinue ? { r: tr, c: tc } : null,
+    pendingHuff,
+    captureRequired: false,
+    turn: canContinue ? state.turn : -state.turn
+  };
+
+  return next;
+}
+
+// Pieces that could have captured, where they stand after `move`
+function huffCandidates(board, side, rules, move) {
+  const out = [];
+  for (let r = 0; r < board.length; r++) for (let c = 0; c < board.length; c++) {
+    if (sign(board[r][c]) !== side || !listCapturesForPiece(board, r, c, rules).length) continue;
+    out.push(r === move.from.r && c === move.from.c ? { ...move.to } : { r, c });
+  }
+  return out;
+}
+
+/**
+ * The opponent's answer to a skipped capture in "huff" mode:
+ *  { remove: { r, c } } blows that candidate away; the decider then moves.
+ *  { forceCapture: true } takes the move back; the offender must capture.
+ * Returns null if the choice is not allowed.
+ */
+export function resolveHuff(state, choice) {
+  const huff = state.pendingHuff;
+  if (!huff || state.result) return null;
+
+  if (choice?.forceCapture) {
+    const history = state.history.slice(0, -1);
+    return {
+      ...state,
+      board: cloneBoard(huff.board),
+      history,
+      lastMove: history.length ? history[history.length - 1] : null,
+      turn: huff.offender,
+      pendingHuff: null,
+      captureRequired: true
+    };
+  }
+
+  const at = choice?.remove;
+  if (!at || !huff.candidates.some(p => p.r === at.r && p.c === at.c)) return null;
+
+  const board = cloneBoard(state.board);
+  board[at.r][at.c] = 0;
+  const lastMove = { ...state.lastMove, penaltyRemoved: true, huffed: { r: at.r, c: at.c } };
+  const history = [...state.history.slice(0, -1), { ...state.history[state.history.length - 1], ...lastMove }];
+  const next = { ...state, board, lastMove, history, pendingHuff: null };
+  return withResult(countTurn({ board: huff.board }, next));
+}
+
+// Player stops an optional capture sequence; the turn passes. A man that
+// passed through the far row uncrowned (promotion "pass") and stops there is
+// crowned now.
+export function endCaptureSequence(state) {
+  const board = removeTaken(cloneBoard(state.board), takenSoFar(state));
+  const at = state.pendingCapture;
+  const piece = at ? board[at.r][at.c] : 0;
+  const crowned = !!piece && !isKing(piece) && at.r === (sign(piece) === 1 ? 0 : board.length - 1);
+  if (crowned) board[at.r][at.c] = 2 * sign(piece);
+
+  const lastMove = crowned ? { ...state.lastMove, crowned } : state.lastMove;
+  const history = state.history.slice();
+  if (history.length) history[history.length - 1] = { ...history[history.length - 1], ...(crowned && { crowned }), complete: true };
+  return { ...state, board, lastMove, history, pendingCapture: null, turn: -state.turn };
+}
+
+function startOf(base) {
+  return {
+    ...createInitialState(base.setup, base.variant),
+    rules: base.rules,
+    rulesHistory: base.rulesHistory || [],
+    startedAt: base.startedAt
+  };
+}
+
+function replayTurn(state, entry) {
+  for (let i = 1; i < entry.path.length; i++) {
+    state = playStep(state, { from: entry.path[i - 1], to: entry.path[i] });
+  }
+  if (entry.huffed && state.pendingHuff) state = resolveHuff(state, { remove: entry.huffed });
+  if (entry.complete && state.pendingCapture) state = endCapture(state);
+  return state;
+}
+
+// Rebuild `base`'s game from its starting position by replaying every
+// recorded step of `history`.
+export function replayHistory(base, history) {
+  return history.reduce(replayTurn, startOf(base));
+}
+
+// Every position of `base`'s game: [0] is the start, [i] the position after
+// the i-th turn of its history.
+export function replayPositions(base) {
+  const positions = [startOf(base)];
+  for (const entry of base.history) positions.push(replayTurn(positions[positions.length - 1], entry));
+  return positions;
+}
+
+// ---------- Whole-turn helpers ----------
+// Draw counters once a turn has passed: a man move, capture, crowning or
+// penalty cannot be undone, so earlier positions can never come back.
+function countTurn(prev, next) {
+  const m = next.lastMove;
+  const stepFrom = m.path[m.path.length - 2];
+  const kingMoved = isKing(prev.board[stepFrom.r][stepFrom.c]);
+  const irreversible = m.captured.length > 0 || m.penaltyRemoved || m.crowned || !kingMoved;
+  const key = positionKey(next.board, next.turn);
+  const positions = irreversible ? {} : { ...next.positions };
+  positions[key] = (positions[key] || 0) + 1;
+  return { ...next, positions, quietKingTurns: irreversible ? 0 : next.quietKingTurns + 1 };
+}
+
+function withResult(state) {
+  const result = checkResult(state);
+  return result ? endGame(state, result) : state;
+}
+
+// Record a finished game
+// (a sequence cut short still takes the pieces it jumped)
+export function endGame(state, result) {
+  const board = removeTaken(cloneBoard(state.board), takenSoFar(state));
+  return { ...state, board, result, winner: result.winner, pendingCapture: null, pendingHuff: null, drawOffer: null, takebackRequest: null };
+}
+
+// Apply one legal step and record the result if it decides the game.
+export function playStep(state, move) {
+  let next = applyMoveWithRules(state, move);
+  if (next.pendingHuff) return next; // nothing is decided until the opponent has chosen
+  if (next.turn !== state.turn) next = countTurn(state, next);
+  return withResult(next);
+}
+
+// End an optional capture sequence and record the result if it decides the game.
+export function endCapture(state) {
+  const next = endCaptureSequence(state);
+  return withResult(countTurn(state, next));
+}
+
+// Every legal step for the side to move: { from, to, over? }
+export function legalSteps(state) {
+  if (state.result || state.pendingHuff) return [];
+  const { board, rules, turn } = state;
+  const pending = state.pendingCapture;
+  if (pending) return listCapturesForPiece(board, pending.r, pending.c, rules, takenSoFar(state));
+
+  const only = capturesOnly(state);
+  const out = [];
+  for (let r = 0; r < board.length; r++) for (let c = 0; c < board.length; c++) {
+    if (sign(board[r][c]) !== turn) continue;
+    out.push(...listCapturesForPiece(board, r, c, rules));
+    if (!only) out.push(...listMovesForPiece(board, r, c, rules));
+  }
+  if (!rules.maxCapture) return out;
+  return out.filter(m => !m.over || isLegalStep(state, m.from, m.to));
+}
+
+// The side to move may only capture: after a huff send-back, or when
+// skipping a capture is not allowed at all
+export function capturesOnly(state) {
+  if (state.captureRequired) return true;
+  const { board, rules, turn } = state;
+  return rules.mustCapture && rules.skipCapturePenaltyRemoveMoved && rules.penaltyMode === "strict" &&
+    anyCaptureAvailable(board, turn, rules);
+}
+
+// Most pieces any capture sequence of the side to move takes (maxCapture)
+export function maxCaptureCount(state) {
+  const { board, turn } = state;
+  const froms = [];
+  if (state.pendingCapture) {
+    froms.push(state.pendingCapture);
+  } else {
+    for (let r = 0; r < board.length; r++) for (let c = 0; c < board.length; c++) {
+      if (sign(board[r][c]) === turn) froms.push({ r, c });
+    }
+  }
+  let best = 0;
+  for (const from of froms) {
+    for (const seq of captureSequences(state, from)) best = Math.max(best, seq.state.lastMove.captured.length);
+  }
+  return best;
+}
+
+// Every complete capture sequence the piece at `from` can play this turn
+export function captureSequences(state, from) {
+  const out = [];
+  (function walk(s, at, path) {
+    for (const cap of listCapturesForPiece(s.board, at.r, at.c, s.rules, takenSoFar(s))) {
+      const next = playStep(s, { from: at, to: cap.to });
+      const p = [...path, cap.to];
+      if (next.pendingCapture) {
+        walk(next, cap.to, p);
+        if (next.rules.multiCapture !== "forced") out.push({ path: p, state: endCapture(next) });
+      } else {
+        out.push({ path: p, state: next });
+      }
+    }
+  })(state, from, [from]);
+  return out;
+}
+
+// Entries to drop so that the requester's most recent move is undone
+// (and the opponent's reply to it, if there was one). 0 = nothing to undo.
+export function takebackCount(history, side) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].side === side) return history.length - i;
+  }
+  return 0;
+}
+
+// One step (single move or single jump) for the side to move.
+export function isLegalStep(state, from, to) {
+  const { board, rules } = state;
+  const fr = from?.r, fc = from?.c, tr = to?.r, tc = to?.c;
+  if (![fr, fc, tr, tc].every(Number.isInteger)) return false;
+  if (![fr, fc, tr, tc].every(v => v >= 0 && v < board.length)) return false;
+
+  if (state.pendingHuff) return false;
+  if (sign(board[fr][fc]) !== state.turn) return false;
+  if (board[tr][tc] !== 0) return false;
+
+  // Mid-sequence only the capturing piece may move, and only by capturing
+  const pending = state.pendingCapture;
+  if (pending && (pending.r !== fr || pending.c !== fc)) return false;
+
+  const isCap = listCapturesForPiece(board, fr, fc, rules, takenSoFar(state)).some(x => x.to.r === tr && x.to.c === tc);
+  if (isCap && rules.maxCapture) {
+    const most = maxCaptureCount(state);
+    return captureSequences(state, from).some(seq =>
+      seq.path[1].r === tr && seq.path[1].c === tc && seq.state.lastMove.captured.length === most);
+  }
+  if (isCap) return true;
+  if (pending || capturesOnly(state)) return false;
+  return listMovesForPiece(board, fr, fc, rules).some(x => x.to.r === tr && x.to.c === tc);
+}
+
+export function countPieces(board, side) {
+  let n = 0;
+  for (let r = 0; r < board.length; r++) for (let c = 0; c < board.length; c++) if (sign(board[r][c]) === side) n++;
+  return n;
+}
+
+export function hasAnyLegalMove(state, side) {
+  const { board, rules } = state;
+  // even if capture exists, a non-capture might still be allowed (with/without penalty), depending on rules
+  for (let r = 0; r < board.length; r++) for (let c = 0; c < board.length; c++) {
+    if (sign(board[r][c]) !== side) continue;
+    if (listCapturesForPiece(board, r, c, rules).length) return true;
+    if (listMovesForPiece(board, r, c, rules).length) return true;
+  }
+  return false;
+}
+
+// Why `setup` ({ board, turn }) cannot start a game of `variant`, or null if
+// it can: "turn", "size", "piece", "lightSquare", "promotionRow" (a man on
+// the row it would be crowned on), "noPieces", "tooMany" (more than a side
+// starts with) or "blocked" (the side to move cannot move).
+export function setupProblem(setup, variant = "german", rules = variantRules(variant)) {
+  const { size, rows } = VARIANTS[variant] || VARIANTS.german;
+  const { board, turn } = setup || {};
+  if (turn !== 1 && turn !== -1) return "turn";
+  if (!Array.isArray(board) || board.length !== size || !board.every(row => Array.isArray(row) && row.length === size)) return "size";
+
+  const count = { 1: 0, "-1": 0 };
+  for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) {
+    const p = board[r][c];
+    if (![-2, -1, 0, 1, 2].includes(p)) return "piece";
+    if (!p) continue;
+    if ((r + c) % 2 === 0) return "lightSquare";
+    if ((p === 1 && r === 0) || (p === -1 && r === size - 1)) return "promotionRow";
+    count[sign(p)]++;
+  }
+  if (!count[1] || !count[-1]) return "noPieces";
+  if (Math.max(count[1], count[-1]) > rows * size / 2) return "tooMany";
+  if (!hasAnyLegalMove({ board, rules }, turn)) return "blocked";
+  return null;
+}
+
+// The game's result if the position decides it, else null
+export function checkResult(state) {
+  const white = countPieces(state.board, 1);
+  const black = countPieces(state.board, -1);
+  if (white === 0) return { winner: -1, reason: "noPieces" };
+  if (black === 0) return { winner: 1, reason: "noPieces" };
+  if (state.pendingCapture || state.pendingHuff) return null;
+  if (!hasAnyLegalMove(state, state.turn)) return { winner: -state.turn, reason: "blocked" };
+
+  const { rules } = state;
+  if (rules.repetitionDraw && (state.positions?.[positionKey(state.board, state.turn)] || 0) >= 3) {
+    return { winner: 0, reason: "repetition" };
+  }
+  if (rules.kingMovesDraw > 0 && state.quietKingTurns >= 2 * rules.kingMovesDraw) {
+    return { winner: 0, reason: "moveLimit" };
+  }
+  return null;
+}
@@ -0,0 +1,215 @@
+import { endCaptureAction, huffAction, stepAction } from "./actions.js";
+import { createInitialState, endGame, replayHistory, setupProblem } from "./engine.js";
+import {
+  advanceClock, applyTimeout, clockRemaining, createClock, isFlagged, normalizeTimeControl, resumeClock
+} from "./clock.js";
+
+/**
+ * Hot-seat: two players on one device, no server.
+ *
+ * createHotseat(storage) stands in for the socket: it answers the room
+ * events (joinRoom, makeMove, endCapture, decideHuff, ...) with the same acks
+ * and "state" broadcasts as the server, on the same engine and move checks
+ * (shared/actions.js). Whoever is to move holds the device, so what would
+ * wait for the opponent's answer (takeback, draw, rules) is agreed on the spot.
+ *
+ * The game is saved to `storage` (localStorage) after every change and
+ * resumed from there; the clock does not run while the page is closed.
+ */
+
+export const STORAGE_KEY = "dameHotseat";
+
+class HotseatError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function fail(code, message) {
+  throw new HotseatError(code, message);
+}
+
+export function seatToMove(state) {
+  return state.turn === 1 ? "white" : "black";
+}
+
+// The saved game, its clock picked up where it was left
+function load(storage, now) {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (saved?.state?.board) {
+      const { state, savedAt } = saved;
+      const clock = resumeClock(state.clock, state.turn, savedAt);
+      return { ...state, clock: clock && clock.runningSince !== null ? { ...clock, runningSince: now } : clock };
+    }
+  } catch {
+    // unreadable: start over
+  }
+  return { ...createInitialState(), version: 0 };
+}
+
+export function createHotseat(storage) {
+  const listeners = {};
+  let state = load(storage, Date.now());
+  let flagTimer = null;
+
+  // Delivered after the current event, as over a socket: the page may emit
+  // joinRoom before it has registered its listeners
+  function broadcast(event, payload) {
+    queueMicrotask(() => {
+      for (const fn of listeners[event] || []) fn(payload);
+    });
+  }
+
+  function commit(next) {
+    state = { ...next, version: state.version + 1 };
+    storage.setItem(STORAGE_KEY, JSON.stringify({ state, savedAt: Date.now() }));
+    broadcast("state", { state, now: Date.now() });
+    scheduleFlag();
+  }
+
+  function scheduleFlag() {
+    clearTimeout(flagTimer);
+    const { clock, turn, result } = state;
+    if (!clock || result || clock.runningSince === null) return;
+    const ms = clockRemaining(clock, turn, turn, Date.now());
+    flagTimer = setTimeout(checkFlag, Math.max(0, ms) + 50);
+  }
+
+  function checkFlag() {
+    const now = Date.now();
+    if (!isFlagged(state, now)) return false;
+    commit(applyTimeout(state, now));
+    return true;
+  }
+
+  function assertUpToDate(version) {
+    if (version !== state.version) fail("STALE_STATE");
+  }
+
+  function assertCanAct() {
+    if (checkFlag() || state.result) fail("GAME_OVER");
+  }
+
+  // a step, a jump or the answer to a huff: the clock goes on, offers lapse
+  function play(next) {
+    commit({ ...advanceClock(state, next, Date.now()), drawOffer: null, takebackRequest: null });
+  }
+
+  // the variant, rules and clock setting carry over, like in a room
+  function newGame(setup) {
+    return {
+      ...createInitialState(setup, state.variant),
+      clock: createClock(state.clock?.control),
+      rules: state.rules,
+      rulesHistory: state.rulesHistory.slice(-1)
+    };
+  }
+
+  const actions = {
+    joinRoom() {
+      broadcast("roomJoined", { role: seatToMove(state), state, now: Date.now(), tokens: {} });
+      broadcast("presence", { players: { white: true, black: true }, bots: { white: null, black: null }, engines: {} });
+      scheduleFlag();
+    },
+
+    resync({ version }) {
+      return { state: version === state.version ? null : state, now: Date.now() };
+    },
+
+    makeMove({ from, to, version }) {
+      assertUpToDate(version);
+      assertCanAct();
+      const { state: next, error } = stepAction(state, from, to);
+      if (error) fail(error);
+      play(next);
+    },
+
+    endCapture({ version }) {
+      assertUpToDate(version);
+      assertCanAct();
+      const { state: next, error } = endCaptureAction(state);
+      if (error) fail(error);
+      commit(advanceClock(state, next, Date.now()));
+    },
+
+    decideHuff({ remove, forceCapture, version }) {
+      assertUpToDate(version);
+      assertCanAct();
+      const { state: next, error } = huffAction(state, { remove, forceCapture: !!forceCapture });
+      if (error) fail(error);
+      play(next);
+    },
+
+    // undoes the last turn, whoever played it
+    requestTakeback() {
+      if (!state.history.length) fail("NOTHING_TO_UNDO");
+      const next = replayHistory(state, state.history.slice(0, -1));
+      commit({ ...next, clock: resumeClock(state.clock, state.turn, Date.now()) });
+    },
+
+    offerDraw() {
+      if (state.result) fail("GAME_OVER");
+      commit(advanceClock(state, endGame(state, { winner: 0, reason: "agreement" }), Date.now()));
+      return { accepted: true };
+    },
+
+    resign() {
+      if (state.result) fail("GAME_OVER");
+      commit(advanceClock(state, endGame(state, { winner: -state.turn, reason: "resign" }), Date.now()));
+    },
+
+    // like accepted rules on the server: once played, new rules mean a new game
+    proposeRules({ rules, variant = state.variant }) {
+      const started = state.history.length > 0 || !!state.result;
+      let next = state;
+      if (started || variant !== state.variant) {
+        next = { ...createInitialState(null, variant), clock: createClock(state.clock?.control) };
+        if (!started) next.rulesHistory = state.rulesHistory;
+      }
+      const entry = { variant, rules, by: seatToMove(state), at: Date.now() };
+      commit({ ...next, rules, rulesHistory: [...next.rulesHistory, entry], rulesProposal: null });
+    },
+
+    setTimeControl({ control }) {
+      if (state.history.length) fail("GAME_STARTED");
+      commit({ ...state, clock: createClock(normalizeTimeControl(control)) });
+    },
+
+    resetGame({ setup }) {
+      if (setup === "custom" && !state.setup) fail("SETUP_INVALID", "none");
+      commit(newGame(setup === "custom" ? state.setup : null));
+    },
+
+    setPosition({ board, turn }) {
+      const problem = setupProblem({ board, turn }, state.variant, state.rules);
+      if (problem) fail("SETUP_INVALID", problem);
+      commit(newGame({ board, turn }));
+    }
+  };
+
+  return {
+    on(event, fn) {
+      (listeners[event] ||= []).push(fn);
+    },
+
+    emit(event, payload = {}, ack = () => {}) {
+      const action = actions[event];
+      if (!action) return ack({ ok: false, error: "FORBIDDEN" }); // needs the server (links, bots, PDN import)
+      try {
+        ack({ ok: true, ...action(payload) });
+      } catch (err) {
+        if (!(err instanceof HotseatError)) throw err;
+        ack({ ok: false, error: err.code, ...(err.message !== err.code ? { message: err.message } : {}) });
+      }
+    },
+
+    // the socket.io manager: nothing to reconnect
+    io: { on() {} },
+
+    close() {
+      clearTimeout(flagTimer);
+    }
+  };
+}
@@ -0,0 +1,42 @@
+import de from "./locales/de.js";
+import en from "./locales/en.js";
+
+/**
+ * Translations: one message catalogue per language (shared/locales) and
+ * translate(lang, key, params) to look a message up.
+ *
+ * A message is a string with {name} placeholders filled from `params`, or a
+ * function of `params` where the wording depends on them (plurals). A key a
+ * catalogue lacks falls back to German, the language the app was written in,
+ * and then to the key itself.
+ *
+ * Server errors are keyed too (lib/protocol.js): `error.<code>`, and for
+ * SETUP_INVALID / PDN_INVALID the message is a key under `setup.` / `pdn.`.
+ */
+
+export const CATALOGUES = { de, en };
+export const LANGUAGES = { de: "Deutsch", en: "English" };
+export const FALLBACK = "de";
+
+// The stored choice if we have it, else the first of the browser's
+// languages we have, else German
+export function detectLanguage(stored, preferred = []) {
+  if (Object.hasOwn(CATALOGUES, stored)) return stored;
+  for (const tag of preferred) {
+    const lang = String(tag).toLowerCase().split("-")[0];
+    if (Object.hasOwn(CATALOGUES, lang)) return lang;
+  }
+  return FALLBACK;
+}
+
+export function hasMessage(key) {
+  return Object.hasOwn(CATALOGUES[FALLBACK], key);
+}
+
+export function translate(lang, key, params = {}) {
+  const catalogue = Object.hasOwn(CATALOGUES, lang) ? CATALOGUES[lang] : CATALOGUES[FALLBACK];
+  const message = Object.hasOwn(catalogue, key) ? catalogue[key] : CATALOGUES[FALLBACK][key];
+  if (message === undefined) return key;
+  if (typeof message === "function") return message(params);
+  return message.replace(/\{(\w+)\}/g, (match, name) => Object.hasOwn(params, name) ? String(params[name]) : match);
+}
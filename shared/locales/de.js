@@ -0,0 +1,282 @@
+// German: the language the app was written in, and the fallback for any key
+// another catalogue is missing (see shared/i18n.js)
+export default {
+  // error codes of the acks (lib/protocol.js)
+  "error.unknown": "Fehler: {error}",
+  "error.BAD_REQUEST": "Ungültige Anfrage.",
+  "error.RATE_LIMITED": "Zu viele Aktionen – bitte kurz warten.",
+  "error.NOT_IN_ROOM": "Noch nicht mit dem Raum verbunden.",
+  "error.NOT_FOUND": "Diesen Raum gibt es nicht.",
+  "error.ALREADY_IN_ROOM": "Schon mit einem Raum verbunden.",
+  "error.FORBIDDEN": "Das darfst du hier nicht.",
+  "error.GAME_OVER": "Die Partie ist schon beendet.",
+  "error.GAME_STARTED": "Das geht nur vor dem ersten Zug.",
+  "error.NOT_YOUR_TURN": "Du bist nicht am Zug.",
+  "error.ILLEGAL_MOVE": "Dieser Zug ist nicht erlaubt.",
+  "error.STALE_STATE": "Die Stellung hat sich inzwischen geändert – bitte noch einmal.",
+  "error.CAPTURE_REQUIRED": "Du musst schlagen.",
+  "error.NOTHING_TO_UNDO": "Es gibt keinen Zug zum Zurücknehmen.",
+  "error.NO_REQUEST": "Es liegt nichts zum Beantworten vor.",
+  "error.ALREADY_PENDING": "Es ist schon eine Anfrage offen.",
+  "error.SEAT_TAKEN": "Dieser Platz ist besetzt.",
+  "error.PDN_INVALID": "PDN-Import fehlgeschlagen",
+  "error.SETUP_INVALID": "Diese Stellung geht nicht",
+  "error.MUTED": "Der Raumbesitzer hat dich im Chat stummgeschaltet.",
+  "error.INTERNAL": "Auf dem Server ist etwas schiefgegangen.",
+  "error.OFFLINE": "Keine Verbindung zum Server.",
+
+  // why a set-up position cannot be played (setupProblem in shared/engine.js)
+  "setup.turn": "Wähle, wer am Zug ist.",
+  "setup.size": "Das Brett passt nicht zur Variante.",
+  "setup.piece": "Unbekannter Stein.",
+  "setup.lightSquare": "Steine stehen nur auf dunklen Feldern.",
+  "setup.promotionRow": "Ein einfacher Stein steht auf seiner Umwandlungsreihe – setz dort eine Dame.",
+  "setup.noPieces": "Beide Seiten brauchen mindestens einen Stein.",
+  "setup.tooMany": "Eine Seite hat mehr Steine als in der Grundstellung.",
+  "setup.blocked": "Wer am Zug ist, kann nicht ziehen.",
+  "setup.none": "Diese Partie hat keine eigene Anfangsstellung.",
+
+  // why a PDN import failed (PdnError in lib/pdn.js)
+  "pdn.square": "Kein Feld {square}",
+  "pdn.fenTurn": "FEN: unklar, wer am Zug ist ({fen})",
+  "pdn.fenPieces": "FEN: unlesbare Steinliste {part}",
+  "pdn.fenSetup": "FEN: Die Startstellung ist nicht spielbar. {problem}",
+  "pdn.badMove": "Unlesbarer Zug {token}",
+  "pdn.notToMove": "Zug {n} ({move}): diese Seite ist nicht am Zug",
+  "pdn.illegal": "Zug {n} ({move}) ist nicht erlaubt",
+  "pdn.gameType": "Unbekannter GameType {type}",
+  "pdn.afterEnd": "Zug {n} ({move}) nach dem Ende der Partie",
+  "pdn.huffSquare": "Zug {n} ({move}): Feld {square} kann nicht gepustet werden",
+  "pdn.huffMissing": "Zug {n} ({move}) lässt einen Schlag aus, aber der gepustete Stein fehlt",
+  "pdn.otherRules": "Die Partie wurde nach anderen Regeln gespielt – schlag sie zuerst vor",
+
+  // seats, pieces, variants
+  "seat.white": "Weiß",
+  "seat.black": "Schwarz",
+  "role.white": "Weiß",
+  "role.black": "Schwarz",
+  "role.spectator": "Zuschauer",
+  "piece.kingMark": "D",
+  "variant.german": "Deutsche Dame",
+  "variant.international": "International 10×10",
+  "variant.russian": "Russisch",
+  "variant.english": "Englisch (Checkers)",
+
+  // status, hints and notices
+  "header.room": "Raum: {room} • Du: {role}",
+  "header.local": "Hot-Seat • offline auf diesem Gerät",
+  "header.playOnline": "Online spielen",
+  "status.turn": "{seat} ist am Zug",
+  "status.yourTurn": "{seat} ist am Zug (DU)",
+  "result.draw": "Remis – {reason}",
+  "result.win": "{seat} gewinnt 🎉 – {reason}",
+  "reason.noPieces": "keine Steine mehr",
+  "reason.blocked": "kein Zug mehr möglich",
+  "reason.resign": "aufgegeben",
+  "reason.timeout": "Zeit abgelaufen",
+  "reason.repetition": "dreifache Stellungswiederholung",
+  "reason.moveLimit": "zu viele Damenzüge ohne Schlag",
+  "reason.agreement": "vereinbart",
+  "hint.huff": "Pusten: Dein Gegner hat einen Schlag ausgelassen. Tippe den Stein an, der rausfliegt, oder erzwinge den Schlag.",
+  "hint.continueForced": "Mehrfachschlag: Du musst mit demselben Stein weiterschlagen.",
+  "hint.continueOptional": "Du kannst mit demselben Stein weiterschlagen oder den Zug beenden.",
+  "hint.analysis": "Analyse: Probier Züge für beide Seiten aus – die Partie bleibt, wie sie ist.",
+  "hint.editor": "Aufbauen: Wähle einen Stein und tippe auf dunkle Felder. Nochmal tippen entfernt ihn.",
+  "hint.replay": "Wiederholung: Blättere durch die Züge. ⏭ kehrt zur laufenden Partie zurück.",
+  "hint.huffWaiting": "Schlag ausgelassen – dein Gegenüber entscheidet (Pusten)…",
+  "hint.captureInsisted": "Dein Gegenüber besteht auf dem Schlag: Du musst schlagen.",
+  "hint.captureFree": "Schlag ist möglich: Du darfst trotzdem ziehen (keine Strafe).",
+  "hint.strictMax": "Schlagzwang: Du musst so viele Steine wie möglich schlagen.",
+  "hint.strict": "Schlagzwang: Du musst schlagen.",
+  "hint.huffRisk": "Schlag ist möglich: Wenn du NICHT schlägst, darf dein Gegenüber pusten.",
+  "hint.removeRisk": "Schlag ist möglich: Wenn du NICHT schlägst, fliegt der gezogene Stein raus.",
+  "hint.play": "Tippe eine Figur an, dann ein Ziel – oder zieh sie hin.",
+  "hint.spectator": "Du bist Zuschauer. Öffne einen Sitz-Link, um mitzuspielen.",
+  "notice.huffed": "Gepustet: {seat} hat einen Schlag ausgelassen, ein Stein wurde entfernt.",
+  "notice.penalty": "Strafe: {seat} hat einen Schlag ausgelassen, der gezogene Stein wurde entfernt.",
+  "notify.title": "Du bist am Zug",
+  "notify.reply": "Gegenzug: {move}",
+  "notify.room": "Raum {room}",
+
+  // moves, offers, rules
+  "moves.none": "Noch keine Züge.",
+  "moves.view": "Stellung nach diesem Zug ansehen",
+  "takeback.waiting": "Zurücknahme angefragt – warte auf Antwort…",
+  "takeback.asks": "{seat} möchte den letzten Zug zurücknehmen.",
+  "draw.waiting": "Remis angeboten – warte auf Antwort…",
+  "draw.offers": "{seat} bietet Remis an.",
+  "draw.botDeclines": "Der Computer lehnt das Remis ab.",
+  "rules.apply": "Übernehmen",
+  "rules.applyNew": "Neue Partie mit diesen Regeln",
+  "rules.propose": "Vorschlagen",
+  "rules.proposeNew": "Neue Partie mit diesen Regeln vorschlagen",
+  "rules.waiting": "Regeln vorgeschlagen – warte auf Antwort…",
+  "rules.proposes": "{seat} schlägt geänderte Regeln vor (markiert). Du kannst sie auch ändern und einen Gegenvorschlag machen.",
+  "rules.startsNew": "Annehmen startet eine neue Partie.",
+  "action.accept": "Annehmen",
+  "action.decline": "Ablehnen",
+  "action.withdraw": "Zurückziehen",
+  "confirm.draw": "Remis vereinbaren?",
+  "confirm.resign": "Wirklich aufgeben?",
+  "confirm.newGame": "Neue Partie beginnen? Die laufende Partie gilt dann als aufgegeben.",
+
+  // replay, analysis, editor
+  "replay.live": "Live",
+  "replay.turn": "{seat} am Zug",
+  "replay.analysis": "Analyse • {turn}",
+  "replay.editor": "Stellung aufbauen",
+  "replay.ply": "Zug {ply} von {moves}",
+  "analysis.start": "Analysieren",
+  "analysis.stop": "Analyse beenden",
+  "editor.ready": "Bereit: Die Partie beginnt für beide neu ab dieser Stellung.",
+
+  // seats, computer, lobby
+  "links.private": "privat – nur für Weiß (Raumbesitzer) sichtbar",
+  "confirm.renewLink": "Neuen Link erzeugen? Der alte Link funktioniert dann nicht mehr.",
+  "confirm.releaseSeat": "Sitz freigeben? Zurück kommst du nur mit deinem Link.",
+  "seatLost.otherDevice": "Dein Platz wird jetzt in einem anderen Fenster benutzt.",
+  "seatLost.revoked": "Dein Link wurde vom Raumbesitzer erneuert.",
+  "seatLost.released": "Du hast deinen Platz freigegeben.",
+  "seatLost.other": "Du bist jetzt Zuschauer.",
+  "bot.easy": "leicht",
+  "bot.medium": "mittel",
+  "bot.hard": "schwer",
+  "bot.remove": "Computer ({seat}) entfernen",
+  "bot.play": "Computer spielt {seat}",
+  "presence.line": "Spieler: Weiß {white} • Schwarz {black}",
+  "lobby.row": "{name} • Weiß {white} • Schwarz {black}",
+  "lobby.finished": "beendet",
+
+  // statistics
+  "rule.mustCapture": "Schlagpflicht",
+  "rule.skipCapturePenaltyRemoveMoved": "Ahndung",
+  "rule.penaltyMode": "Ahndungsart",
+  "rule.multiCapture": "Mehrfachschlag",
+  "rule.flyingKingMove": "Dame fliegt",
+  "rule.flyingKingCapture": "Dame schlägt fliegend",
+  "rule.menBackwardCapture": "Rückwärts schlagen",
+  "rule.promotion": "Umwandlung",
+  "rule.maxCapture": "Mehrheitsschlag",
+  "rule.repetitionDraw": "Wiederholungsremis",
+  "rule.kingMovesDraw": "Damenzug-Remis",
+  "ruleValue.on": "an",
+  "ruleValue.off": "aus",
+  "ruleValue.removeMoved": "Stein fliegt",
+  "ruleValue.huff": "Pusten",
+  "ruleValue.strict": "Ziehen verboten",
+  "ruleValue.optional": "optional",
+  "ruleValue.forced": "Pflicht",
+  "ruleValue.stop": "Zug endet",
+  "ruleValue.continue": "weiterschlagen",
+  "ruleValue.pass": "durchziehen",
+  "duration.days": "{n} Tage",
+  "stats.none": "Noch keine beendete Partie.",
+  "stats.games": p => `${p.games} ${p.games === 1 ? "Partie" : "Partien"}${p.draws ? `, davon ${p.draws} Remis` : ""}`,
+  "stats.streak": "Serie: {name} hat {n}× in Folge gewonnen",
+  "stats.longest": "Längste Serie: {white} {w} • {black} {b}",
+  "stats.average": "Ø {plies} Züge • Ø {duration}",
+  "stats.byRules": "Nach Regeln:",
+  "stats.draws": "({n} Remis)",
+
+  // chat, webhook
+  "chat.you": "{name} (du)",
+  "chat.spectator": "Zuschauer {id}",
+  "chat.reaction": "{emoji} zu {move}",
+  "chat.ply": "Zug {n}",
+  "chat.reactTo": "Auf {move}:",
+  "chat.placeholder": "Nachricht…",
+  "chat.mutedPlaceholder": "Du bist stummgeschaltet.",
+  "chat.mute": "Stumm",
+  "chat.unmute": "Laut",
+  "chat.muteTitle": "Darf nicht mehr schreiben",
+  "chat.unmuteTitle": "Darf wieder schreiben",
+  "chat.empty": "Noch keine Nachrichten.",
+  "confirm.clearChat": "Alle Nachrichten im Raum löschen?",
+  "webhook.saved": "Webhook gespeichert.",
+  "webhook.removed": "Webhook entfernt.",
+
+  // page texts (index.html, data-i18n)
+  "ui.language": "Sprache",
+  "ui.hotseat": "Hot-Seat",
+  "ui.newRoom": "Neuer Raum",
+  "ui.new": "Neu",
+  "ui.newTitle": "Neue Partie aus der Grundstellung",
+  "ui.newFromSetup": "Neu ab Stellung",
+  "ui.newFromSetupTitle": "Neue Partie aus der Anfangsstellung dieser Partie",
+  "ui.connecting": "Verbinde…",
+  "ui.presenceNone": "Spieler: –",
+  "ui.connectionLost": "Verbindung unterbrochen – verbinde neu…",
+  "ui.playWithoutServer": "Ohne Server auf diesem Gerät spielen",
+  "ui.endTurn": "Zug beenden",
+  "ui.forceCapture": "Schlag erzwingen",
+  "ui.takeback": "Zug zurücknehmen",
+  "ui.offerDraw": "Remis anbieten",
+  "ui.resign": "Aufgeben",
+  "ui.releaseSeat": "Platz freigeben",
+  "ui.acceptDraw": "Remis annehmen",
+  "ui.acceptRules": "Regeln annehmen",
+  "ui.editorTitle": "Stellung aufbauen",
+  "ui.man": "Stein",
+  "ui.king": "Dame",
+  "ui.remove": "Entfernen",
+  "ui.toMove": "Am Zug:",
+  "ui.clearBoard": "Brett leeren",
+  "ui.startPosition": "Grundstellung",
+  "ui.playFromHere": "Partie ab dieser Stellung",
+  "ui.cancel": "Abbrechen",
+  "ui.botTitle": "Computer-Gegner",
+  "ui.strength": "Stärke:",
+  "ui.rulesTitle": "Regeln",
+  "ui.variant": "Variante:",
+  "ui.mustCapture": "Schlagpflicht",
+  "ui.penalty": "Ausgelassener Schlag wird geahndet",
+  "ui.penaltyMode": "Ahndung:",
+  "ui.penaltyRemoveMoved": "gezogener Stein fliegt raus",
+  "ui.penaltyHuff": "Pusten: Gegner wählt",
+  "ui.penaltyStrict": "Ziehen nicht erlaubt",
+  "ui.maxCapture": "Mehrheitsschlag (meiste Steine)",
+  "ui.multiCapture": "Mehrfachschlag:",
+  "ui.flyMove": "Dame fliegend ziehen",
+  "ui.flyCap": "Dame fliegend schlagen",
+  "ui.backCap": "Rückwärts schlagen:",
+  "ui.backCapKingOnly": "nur Dame",
+  "ui.backCapAll": "auch normale",
+  "ui.promotion": "Umwandlung beim Schlagen:",
+  "ui.promotionStop": "Zug endet",
+  "ui.promotionContinue": "als Dame weiterschlagen",
+  "ui.promotionPass": "Stein zieht durch",
+  "ui.repetition": "Remis bei dreifacher Stellungswiederholung",
+  "ui.kingMovesBefore": "Remis nach",
+  "ui.kingMovesAfter": "Damenzügen je Spieler ohne Schlag (0 = aus)",
+  "ui.timeTitle": "Bedenkzeit (stellt Weiß ein)",
+  "ui.mode": "Modus:",
+  "ui.modeNone": "ohne Uhr",
+  "ui.modeSuddenDeath": "Sudden Death",
+  "ui.modeFischer": "Fischer (mit Zuschlag)",
+  "ui.modeCorrespondence": "Fernpartie",
+  "ui.minutes": "Minuten pro Spieler:",
+  "ui.increment": "Zuschlag pro Zug (s):",
+  "ui.hours": "Stunden pro Zug:",
+  "ui.setTime": "Bedenkzeit setzen",
+  "ui.activeRooms": "Aktive Räume",
+  "ui.sounds": "Töne",
+  "ui.notify": "Benachrichtigen",
+  "ui.replayFirst": "Zum Anfang",
+  "ui.replayPrev": "Zug zurück (←)",
+  "ui.replayPlay": "Abspielen",
+  "ui.replayNext": "Zug vor (→)",
+  "ui.replayLast": "Zur laufenden Partie",
+  "ui.setUp": "Aufbauen",
+  "ui.renewLink": "Link erneuern",
+  "ui.linkHint": "Die Links sind privat: Wer einen Link hat, spielt diese Farbe. Schick deinem Gegenüber nur den Link von Schwarz. Erneuern macht den alten Link ungültig und wirft den Sitzenden raus.",
+  "ui.moves": "Züge",
+  "ui.chat": "Chat",
+  "ui.clearChat": "Chat leeren",
+  "ui.hideSpectators": "Zuschauer ausblenden",
+  "ui.send": "Senden",
+  "ui.export": "Exportieren",
+  "ui.import": "Importieren",
+  "ui.webhookHint": "Wenn du am Zug bist, schickt der Server einen POST mit JSON an diese Adresse.",
+  "ui.save": "Speichern",
+  "ui.stats": "Statistik"
+};
@@ -0,0 +1,281 @@
+// English
+export default {
+  // error codes of the acks (lib/protocol.js)
+  "error.unknown": "Error: {error}",
+  "error.BAD_REQUEST": "Invalid request.",
+  "error.RATE_LIMITED": "Too many actions – please wait a moment.",
+  "error.NOT_IN_ROOM": "Not connected to the room yet.",
+  "error.NOT_FOUND": "There is no such room.",
+  "error.ALREADY_IN_ROOM": "Already connected to a room.",
+  "error.FORBIDDEN": "You are not allowed to do that here.",
+  "error.GAME_OVER": "The game is already over.",
+  "error.GAME_STARTED": "That is only possible before the first move.",
+  "error.NOT_YOUR_TURN": "It is not your turn.",
+  "error.ILLEGAL_MOVE": "That move is not allowed.",
+  "error.STALE_STATE": "The position has changed in the meantime – please try again.",
+  "error.CAPTURE_REQUIRED": "You have to capture.",
+  "error.NOTHING_TO_UNDO": "There is no move to take back.",
+  "error.NO_REQUEST": "There is nothing to answer.",
+  "error.ALREADY_PENDING": "A request is already open.",
+  "error.SEAT_TAKEN": "This seat is taken.",
+  "error.PDN_INVALID": "PDN import failed",
+  "error.SETUP_INVALID": "This position cannot be played",
+  "error.MUTED": "The room owner has muted you in the chat.",
+  "error.INTERNAL": "Something went wrong on the server.",
+  "error.OFFLINE": "No connection to the server.",
+
+  // why a set-up position cannot be played (setupProblem in shared/engine.js)
+  "setup.turn": "Choose who is to move.",
+  "setup.size": "The board does not fit the variant.",
+  "setup.piece": "Unknown piece.",
+  "setup.lightSquare": "Pieces only stand on dark squares.",
+  "setup.promotionRow": "A man stands on its crowning row – put a king there.",
+  "setup.noPieces": "Both sides need at least one piece.",
+  "setup.tooMany": "One side has more pieces than in the starting position.",
+  "setup.blocked": "The side to move cannot move.",
+  "setup.none": "This game has no set-up position of its own.",
+
+  // why a PDN import failed (PdnError in lib/pdn.js)
+  "pdn.square": "No such square: {square}",
+  "pdn.fenTurn": "FEN: unclear who is to move ({fen})",
+  "pdn.fenPieces": "FEN: unreadable piece list {part}",
+  "pdn.fenSetup": "FEN: the start position cannot be played. {problem}",
+  "pdn.badMove": "Unreadable move {token}",
+  "pdn.notToMove": "Move {n} ({move}): that side is not to move",
+  "pdn.illegal": "Move {n} ({move}) is not allowed",
+  "pdn.gameType": "Unsupported GameType {type}",
+  "pdn.afterEnd": "Move {n} ({move}) after the game ended",
+  "pdn.huffSquare": "Move {n} ({move}): square {square} cannot be huffed",
+  "pdn.huffMissing": "Move {n} ({move}) skips a capture but no huffed piece is given",
+  "pdn.otherRules": "The game was played on other rules – propose them first",
+
+  // seats, pieces, variants
+  "seat.white": "White",
+  "seat.black": "Black",
+  "role.white": "White",
+  "role.black": "Black",
+  "role.spectator": "Spectator",
+  "piece.kingMark": "K",
+  "variant.german": "German draughts",
+  "variant.international": "International 10×10",
+  "variant.russian": "Russian",
+  "variant.english": "English (checkers)",
+
+  // status, hints and notices
+  "header.room": "Room: {room} • You: {role}",
+  "header.local": "Hot seat • offline on this device",
+  "header.playOnline": "Play online",
+  "status.turn": "{seat} to move",
+  "status.yourTurn": "{seat} to move (YOU)",
+  "result.draw": "Draw – {reason}",
+  "result.win": "{seat} wins 🎉 – {reason}",
+  "reason.noPieces": "no pieces left",
+  "reason.blocked": "no move left",
+  "reason.resign": "resigned",
+  "reason.timeout": "out of time",
+  "reason.repetition": "threefold repetition",
+  "reason.moveLimit": "too many king moves without a capture",
+  "reason.agreement": "agreed",
+  "hint.huff": "Huff: your opponent skipped a capture. Tap the piece that goes, or insist on the capture.",
+  "hint.continueForced": "Multiple capture: you have to keep capturing with the same piece.",
+  "hint.continueOptional": "You can keep capturing with the same piece or end your turn.",
+  "hint.analysis": "Analysis: try moves for both sides – the game stays as it is.",
+  "hint.editor": "Set up: pick a piece and tap dark squares. Tapping again removes it.",
+  "hint.replay": "Replay: step through the moves. ⏭ returns to the live game.",
+  "hint.huffWaiting": "Capture skipped – your opponent decides (huff)…",
+  "hint.captureInsisted": "Your opponent insists on the capture: you have to capture.",
+  "hint.captureFree": "A capture is possible: you may still make a plain move (no penalty).",
+  "hint.strictMax": "Compulsory capture: you have to take as many pieces as possible.",
+  "hint.strict": "Compulsory capture: you have to capture.",
+  "hint.huffRisk": "A capture is possible: if you do NOT capture, your opponent may huff.",
+  "hint.removeRisk": "A capture is possible: if you do NOT capture, the moved piece is removed.",
+  "hint.play": "Tap a piece, then a target – or drag it there.",
+  "hint.spectator": "You are watching. Open a seat link to play.",
+  "notice.huffed": "Huffed: {seat} skipped a capture, a piece was removed.",
+  "notice.penalty": "Penalty: {seat} skipped a capture, the moved piece was removed.",
+  "notify.title": "Your turn",
+  "notify.reply": "Reply: {move}",
+  "notify.room": "Room {room}",
+
+  // moves, offers, rules
+  "moves.none": "No moves yet.",
+  "moves.view": "Show the position after this move",
+  "takeback.waiting": "Takeback requested – waiting for an answer…",
+  "takeback.asks": "{seat} would like to take back the last move.",
+  "draw.waiting": "Draw offered – waiting for an answer…",
+  "draw.offers": "{seat} offers a draw.",
+  "draw.botDeclines": "The computer declines the draw.",
+  "rules.apply": "Apply",
+  "rules.applyNew": "New game with these rules",
+  "rules.propose": "Propose",
+  "rules.proposeNew": "Propose a new game with these rules",
+  "rules.waiting": "Rules proposed – waiting for an answer…",
+  "rules.proposes": "{seat} proposes changed rules (marked). You can also change them and make a counter-proposal.",
+  "rules.startsNew": "Accepting starts a new game.",
+  "action.accept": "Accept",
+  "action.decline": "Decline",
+  "action.withdraw": "Withdraw",
+  "confirm.draw": "Agree a draw?",
+  "confirm.resign": "Really resign?",
+  "confirm.newGame": "Start a new game? The running game counts as resigned.",
+
+  // replay, analysis, editor
+  "replay.live": "Live",
+  "replay.turn": "{seat} to move",
+  "replay.analysis": "Analysis • {turn}",
+  "replay.editor": "Setting up a position",
+  "replay.ply": "Move {ply} of {moves}",
+  "analysis.start": "Analyse",
+  "analysis.stop": "Stop analysis",
+  "editor.ready": "Ready: the game starts over for both from this position.",
+
+  // seats, computer, lobby
+  "links.private": "private – only visible to White (the room owner)",
+  "confirm.renewLink": "Create a new link? The old link will stop working.",
+  "confirm.releaseSeat": "Give up your seat? You can only come back with your link.",
+  "seatLost.otherDevice": "Your seat is now used in another window.",
+  "seatLost.revoked": "The room owner has renewed your link.",
+  "seatLost.released": "You gave up your seat.",
+  "seatLost.other": "You are now a spectator.",
+  "bot.easy": "easy",
+  "bot.medium": "medium",
+  "bot.hard": "hard",
+  "bot.remove": "Remove the computer ({seat})",
+  "bot.play": "Computer plays {seat}",
+  "presence.line": "Players: White {white} • Black {black}",
+  "lobby.row": "{name} • White {white} • Black {black}",
+  "lobby.finished": "finished",
+
+  // statistics
+  "rule.mustCapture": "Compulsory capture",
+  "rule.skipCapturePenaltyRemoveMoved": "Penalty",
+  "rule.penaltyMode": "Penalty type",
+  "rule.multiCapture": "Multiple capture",
+  "rule.flyingKingMove": "Flying king",
+  "rule.flyingKingCapture": "King captures flying",
+  "rule.menBackwardCapture": "Backward capture",
+  "rule.promotion": "Crowning",
+  "rule.maxCapture": "Majority capture",
+  "rule.repetitionDraw": "Repetition draw",
+  "rule.kingMovesDraw": "King-move draw",
+  "ruleValue.on": "on",
+  "ruleValue.off": "off",
+  "ruleValue.removeMoved": "piece removed",
+  "ruleValue.huff": "huff",
+  "ruleValue.strict": "plain move forbidden",
+  "ruleValue.optional": "optional",
+  "ruleValue.forced": "compulsory",
+  "ruleValue.stop": "turn ends",
+  "ruleValue.continue": "capture on",
+  "ruleValue.pass": "pass through",
+  "duration.days": "{n} days",
+  "stats.none": "No finished game yet.",
+  "stats.games": p => `${p.games} ${p.games === 1 ? "game" : "games"}${p.draws ? `, ${p.draws} drawn` : ""}`,
+  "stats.streak": "Streak: {name} has won {n}× in a row",
+  "stats.longest": "Longest streak: {white} {w} • {black} {b}",
+  "stats.average": "Ø {plies} moves • Ø {duration}",
+  "stats.byRules": "By rules:",
+  "stats.draws": "({n} drawn)",
+
+  // chat, webhook
+  "chat.you": "{name} (you)",
+  "chat.spectator": "Spectator {id}",
+  "chat.reaction": "{emoji} on {move}",
+  "chat.ply": "move {n}",
+  "chat.reactTo": "On {move}:",
+  "chat.placeholder": "Message…",
+  "chat.mutedPlaceholder": "You are muted.",
+  "chat.mute": "Mute",
+  "chat.unmute": "Unmute",
+  "chat.muteTitle": "May no longer write",
+  "chat.unmuteTitle": "May write again",
+  "chat.empty": "No messages yet.",
+  "confirm.clearChat": "Delete all messages in this room?",
+  "webhook.saved": "Webhook saved.",
+  "webhook.removed": "Webhook removed.",
+
+  // page texts (index.html, data-i18n)
+  "ui.language": "Language",
+  "ui.hotseat": "Hot seat",
+  "ui.newRoom": "New room",
+  "ui.new": "New",
+  "ui.newTitle": "New game from the starting position",
+  "ui.newFromSetup": "New from position",
+  "ui.newFromSetupTitle": "New game from this game's starting position",
+  "ui.connecting": "Connecting…",
+  "ui.presenceNone": "Players: –",
+  "ui.connectionLost": "Connection lost – reconnecting…",
+  "ui.playWithoutServer": "Play on this device without a server",
+  "ui.endTurn": "End turn",
+  "ui.forceCapture": "Insist on the capture",
+  "ui.takeback": "Take back move",
+  "ui.offerDraw": "Offer a draw",
+  "ui.resign": "Resign",
+  "ui.releaseSeat": "Give up seat",
+  "ui.acceptDraw": "Accept draw",
+  "ui.acceptRules": "Accept rules",
+  "ui.editorTitle": "Set up a position",
+  "ui.man": "Man",
+  "ui.king": "King",
+  "ui.remove": "Remove",
+  "ui.toMove": "To move:",
+  "ui.clearBoard": "Clear board",
+  "ui.startPosition": "Starting position",
+  "ui.playFromHere": "Play from this position",
+  "ui.cancel": "Cancel",
+  "ui.botTitle": "Computer opponent",
+  "ui.strength": "Strength:",
+  "ui.rulesTitle": "Rules",
+  "ui.variant": "Variant:",
+  "ui.mustCapture": "Capturing is compulsory",
+  "ui.penalty": "A missed capture is penalised",
+  "ui.penaltyMode": "Penalty:",
+  "ui.penaltyRemoveMoved": "the moved piece is removed",
+  "ui.penaltyHuff": "huffing: the opponent chooses",
+  "ui.penaltyStrict": "plain moves not allowed",
+  "ui.maxCapture": "Majority capture (most pieces)",
+  "ui.multiCapture": "Multiple capture:",
+  "ui.flyMove": "Flying kings move",
+  "ui.flyCap": "Flying kings capture",
+  "ui.backCap": "Capturing backwards:",
+  "ui.backCapKingOnly": "kings only",
+  "ui.backCapAll": "men too",
+  "ui.promotion": "Promotion while capturing:",
+  "ui.promotionStop": "turn ends",
+  "ui.promotionContinue": "capture on as a king",
+  "ui.promotionPass": "man passes through",
+  "ui.repetition": "Draw on threefold repetition",
+  "ui.kingMovesBefore": "Draw after",
+  "ui.kingMovesAfter": "king moves per player without a capture (0 = off)",
+  "ui.timeTitle": "Time control (set by White)",
+  "ui.mode": "Mode:",
+  "ui.modeNone": "no clock",
+  "ui.modeSuddenDeath": "Sudden death",
+  "ui.modeFischer": "Fischer (with increment)",
+  "ui.modeCorrespondence": "Correspondence",
+  "ui.minutes": "Minutes per player:",
+  "ui.increment": "Increment per move (s):",
+  "ui.hours": "Hours per move:",
+  "ui.setTime": "Set time control",
+  "ui.activeRooms": "Active rooms",
+  "ui.sounds": "Sounds",
+  "ui.notify": "Notify me",
+  "ui.replayFirst": "To the start",
+  "ui.replayPrev": "Previous move (←)",
+  "ui.replayPlay": "Play",
+  "ui.replayNext": "Next move (→)",
+  "ui.replayLast": "Back to the live game",
+  "ui.setUp": "Set up",
+  "ui.renewLink": "Renew link",
+  "ui.linkHint": "The links are private: whoever has a link plays that colour. Send your opponent only Black's link. Renewing makes the old link invalid and removes whoever sits there.",
+  "ui.moves": "Moves",
+  "ui.chat": "Chat",
+  "ui.clearChat": "Clear chat",
+  "ui.hideSpectators": "Hide spectators",
+  "ui.send": "Send",
+  "ui.export": "Export",
+  "ui.import": "Import",
+  "ui.webhookHint": "When it is your turn, the server POSTs JSON to this address.",
+  "ui.save": "Save",
+  "ui.stats": "Statistics"
+};
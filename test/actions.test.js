@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { endCaptureAction, huffAction, stepAction } from "../shared/actions.js";
+import { createInitialState } from "../shared/engine.js";
+import { position } from "./position.js";
+
+const sq = (r, c) => ({ r, c });
+
+test("a legal step is played, anything else is an illegal move", () => {
+  const s = createInitialState();
+  const { state, error } = stepAction(s, sq(5, 0), sq(4, 1));
+  assert.equal(error, undefined);
+  assert.equal(state.turn, -1);
+
+  assert.deepEqual(stepAction(s, sq(2, 1), sq(3, 0)), { error: "ILLEGAL_MOVE" }); // not White's piece
+  assert.deepEqual(stepAction(s, sq(5, 0), sq(3, 2)), { error: "ILLEGAL_MOVE" });
+  assert.deepEqual(stepAction(state, sq(9, 0), sq(8, 1)), { error: "ILLEGAL_MOVE" }); // off the board
+});
+
+test("a plain move where only a capture is allowed asks for the capture", () => {
+  const strict = { skipCapturePenaltyRemoveMoved: true, penaltyMode: "strict" };
+  const s = position({ "5,2": 1, "4,3": -1, "0,1": -1 }, { rules: strict });
+  assert.deepEqual(stepAction(s, sq(5, 2), sq(4, 1)), { error: "CAPTURE_REQUIRED" });
+  assert.equal(stepAction(s, sq(5, 2), sq(3, 4)).state.board[4][3], 0);
+});
+
+test("an optional capture sequence can be ended, a forced one cannot", () => {
+  const pieces = { "7,0": 1, "6,1": -1, "4,3": -1, "0,7": -1 };
+  const s = stepAction(position(pieces, { rules: { flyingKingCapture: false } }), sq(7, 0), sq(5, 2)).state;
+  assert.deepEqual(s.pendingCapture, sq(5, 2));
+  assert.deepEqual(stepAction(s, sq(5, 2), sq(4, 1)), { error: "CAPTURE_REQUIRED" });
+
+  assert.equal(endCaptureAction(s).state.turn, -1);
+  assert.deepEqual(endCaptureAction({ ...s, rules: { ...s.rules, multiCapture: "forced" } }), { error: "CAPTURE_REQUIRED" });
+  assert.deepEqual(endCaptureAction(createInitialState()), { error: "ILLEGAL_MOVE" });
+});
+
+test("a huff is decided before anything else", () => {
+  const pieces = { "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 };
+  const s = stepAction(position(pieces, { rules: { penaltyMode: "huff" } }), sq(5, 6), sq(4, 7)).state;
+  assert.deepEqual(stepAction(s, sq(0, 1), sq(1, 0)), { error: "ILLEGAL_MOVE" });
+  assert.deepEqual(huffAction(s, { remove: sq(4, 7) }), { error: "ILLEGAL_MOVE" });
+  assert.equal(huffAction(s, { remove: sq(5, 2) }).state.board[5][2], 0);
+  assert.deepEqual(huffAction(createInitialState(), { forceCapture: true }), { error: "NO_REQUEST" });
+});
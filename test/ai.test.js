@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createInitialState, isLegalStep, playStep } from "../shared/engine.js";
+import { chooseTurn, turnOptions } from "../lib/ai.js";
+import { position } from "./position.js";
+
+test("turn options include complete capture sequences and penalised skips", () => {
+  const s = position({ "7,0": 1, "6,1": -1, "4,3": -1, "7,6": 1, "0,7": -1 });
+  const paths = turnOptions(s).map(o => o.path.length);
+  assert.ok(paths.includes(3)); // double jump
+  assert.ok(paths.includes(2)); // stopping early is allowed with optional multi-capture
+  const skip = turnOptions(s).find(o => o.path[0].c === 6);
+  assert.equal(skip.state.lastMove.penaltyRemoved, true);
+});
+
+test("mid-sequence only the capturing piece goes on", () => {
+  const s = playStep(position({ "7,0": 1, "6,1": -1, "4,3": -1, "7,6": 1, "0,7": -1 }), { from: { r: 7, c: 0 }, to: { r: 5, c: 2 } });
+  const options = turnOptions(s);
+  assert.deepEqual(options.map(o => o.path), [[{ r: 5, c: 2 }, { r: 3, c: 4 }]]);
+  assert.ok(options.every(o => isLegalStep(s, o.path[0], o.path[1])));
+  assert.deepEqual(chooseTurn(s, "easy", () => 0.5).path, options[0].path);
+});
+
+test("the computer takes the double jump", () => {
+  const s = position({ "7,0": 1, "6,1": -1, "4,3": -1, "7,6": 1, "0,7": -1 });
+  const turn = chooseTurn(s, "hard", () => 0.5);
+  assert.deepEqual(turn.path, [{ r: 7, c: 0 }, { r: 5, c: 2 }, { r: 3, c: 4 }]);
+});
+
+test("the computer answers a skipped capture in huff mode", () => {
+  const s = position({ "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 }, { rules: { penaltyMode: "huff" } });
+  const skipped = turnOptions(s).find(o => o.path[0].c === 6).state;
+  const choices = turnOptions(skipped).map(o => o.huff);
+  assert.deepEqual(choices, [{ remove: { r: 5, c: 2 } }, { forceCapture: true }]);
+  assert.ok(chooseTurn(skipped, "hard", () => 0.5).huff);
+});
+
+test("the computer plays on a 10x10 board", () => {
+  const s = createInitialState(null, "international");
+  const turn = chooseTurn(s, "easy", () => 0.5);
+  assert.equal(turn.path[0].r, 6);
+});
+
+test("the computer finds nothing to play when blocked", () => {
+  const s = position({ "7,0": -1, "6,1": 1, "5,2": 1 }, { turn: -1 });
+  assert.equal(chooseTurn(s, "easy"), null);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  CHAT_KEPT, CHAT_MAX_LENGTH, addMessage, chatText, createChat, hasReacted, isMuted, reactionsByPly, restoreChat, setMuted
+} from "../shared/chat.js";
+
+const text = (from, t, extra = {}) => ({ kind: "text", channel: from === "spectator" ? "spectators" : "players", from, text: t, at: 1, ...extra });
+const reaction = (from, emoji, ply, extra = {}) =>
+  ({ kind: "reaction", channel: from === "spectator" ? "spectators" : "players", from, emoji, game: 100, ply, at: 1, ...extra });
+
+test("chat text is trimmed, cleaned and limited", () => {
+  assert.equal(chatText("  hallo \n"), "hallo");
+  assert.equal(chatText("a\u0007b"), "ab");
+  assert.equal(chatText("   "), null);
+  assert.equal(chatText(42), null);
+  assert.equal(chatText("x".repeat(CHAT_MAX_LENGTH)).length, CHAT_MAX_LENGTH);
+  assert.equal(chatText("x".repeat(CHAT_MAX_LENGTH + 1)), null);
+});
+
+test("only the latest messages are kept", () => {
+  let chat = createChat();
+  for (let i = 0; i < CHAT_KEPT + 5; i++) chat = addMessage(chat, text("white", `m${i}`));
+  assert.equal(chat.messages.length, CHAT_KEPT);
+  assert.equal(chat.messages[0].text, "m5");
+});
+
+test("reactions are counted per move and given once per person", () => {
+  let chat = createChat();
+  chat = addMessage(chat, reaction("white", "👍", 0));
+  chat = addMessage(chat, reaction("spectator", "👍", 0, { viewer: "0123abcd" }));
+  chat = addMessage(chat, reaction("black", "😮", 3));
+  chat = addMessage(chat, reaction("black", "😮", 3, { game: 200 })); // another game
+
+  assert.ok(hasReacted(chat, { from: "white", emoji: "👍", game: 100, ply: 0 }));
+  assert.ok(!hasReacted(chat, { from: "spectator", viewer: "ffff0000", emoji: "👍", game: 100, ply: 0 }));
+  assert.deepEqual([...reactionsByPly(chat.messages, 100)], [[0, { "👍": 2 }], [3, { "😮": 1 }]]);
+});
+
+test("spectators are muted and unmuted by id", () => {
+  let chat = setMuted(createChat(), "0123abcd", true);
+  assert.ok(isMuted(chat, "0123abcd"));
+  assert.ok(!isMuted(chat, undefined));
+  chat = setMuted(chat, "0123abcd", true);
+  assert.deepEqual(chat.muted, ["0123abcd"]);
+  assert.ok(!isMuted(setMuted(chat, "0123abcd", false), "0123abcd"));
+});
+
+test("a stored chat is restored without malformed entries", () => {
+  const saved = {
+    messages: [
+      text("white", "hallo"),
+      text("spectator", "hi", { viewer: "0123abcd" }),
+      text("spectator", "no id"),
+      text("black", "wrong channel", { channel: "spectators" }),
+      reaction("black", "💩", 0),
+      { kind: "other", from: "white", channel: "players", at: 1 }
+    ],
+    muted: ["0123abcd", "<script>"]
+  };
+  const chat = restoreChat(saved);
+  assert.deepEqual(chat.messages.map(m => m.text), ["hallo", "hi"]);
+  assert.deepEqual(chat.muted, ["0123abcd"]);
+  assert.deepEqual(restoreChat(undefined), createChat());
+});
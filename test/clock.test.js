@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createInitialState, playStep } from "../shared/engine.js";
+import {
+  advanceClock, applyTimeout, clockRemaining, createClock, isFlagged, normalizeTimeControl
+} from "../shared/clock.js";
+
+const MIN = 60 * 1000;
+
+function timed(control) {
+  const state = createInitialState();
+  state.clock = createClock(normalizeTimeControl(control));
+  return state;
+}
+
+function move(state, from, to, now) {
+  return advanceClock(state, playStep(state, { from, to }), now);
+}
+
+test("time controls are validated and clamped", () => {
+  assert.equal(normalizeTimeControl({ type: "blitz" }), null);
+  assert.equal(normalizeTimeControl(null), null);
+  assert.deepEqual(normalizeTimeControl({ type: "suddenDeath", baseMs: 1 }), { type: "suddenDeath", baseMs: MIN });
+  assert.equal(normalizeTimeControl({ type: "fischer", baseMs: 5 * MIN, incrementMs: 10 * MIN }).incrementMs, MIN);
+});
+
+test("the clock starts with the first move", () => {
+  const s = timed({ type: "suddenDeath", baseMs: 5 * MIN });
+  assert.equal(s.clock.runningSince, null);
+  assert.equal(isFlagged(s, Date.now() + 10 * MIN), false);
+
+  const after = move(s, { r: 5, c: 2 }, { r: 4, c: 3 }, 1000);
+  assert.equal(after.clock.runningSince, 1000);
+  assert.equal(after.clock.remaining[1], 5 * MIN);
+  assert.equal(clockRemaining(after.clock, after.turn, -1, 1000 + MIN), 4 * MIN);
+});
+
+test("sudden death charges the mover", () => {
+  let s = move(timed({ type: "suddenDeath", baseMs: 5 * MIN }), { r: 5, c: 2 }, { r: 4, c: 3 }, 0);
+  s = move(s, { r: 2, c: 1 }, { r: 3, c: 2 }, 20_000);
+  assert.equal(s.clock.remaining[-1], 5 * MIN - 20_000);
+  assert.equal(s.clock.runningSince, 20_000);
+});
+
+test("fischer adds the increment after each move", () => {
+  let s = move(timed({ type: "fischer", baseMs: 5 * MIN, incrementMs: 3000 }), { r: 5, c: 2 }, { r: 4, c: 3 }, 0);
+  s = move(s, { r: 2, c: 1 }, { r: 3, c: 2 }, 10_000);
+  assert.equal(s.clock.remaining[-1], 5 * MIN - 10_000 + 3000);
+});
+
+test("correspondence gives a fresh allowance every move", () => {
+  const HOUR = 60 * MIN;
+  let s = move(timed({ type: "correspondence", perMoveMs: 24 * HOUR }), { r: 5, c: 2 }, { r: 4, c: 3 }, 0);
+  s = move(s, { r: 2, c: 1 }, { r: 3, c: 2 }, 20 * HOUR);
+  assert.equal(s.clock.remaining[-1], 24 * HOUR);
+  assert.equal(s.clock.remaining[1], 24 * HOUR);
+  assert.equal(isFlagged(s, 20 * HOUR + 24 * HOUR + 1), true);
+});
+
+test("running out of time loses the game", () => {
+  const s = move(timed({ type: "suddenDeath", baseMs: MIN }), { r: 5, c: 2 }, { r: 4, c: 3 }, 0);
+  assert.equal(isFlagged(s, MIN - 1), false);
+  assert.equal(isFlagged(s, MIN), true);
+
+  const over = applyTimeout(s, MIN + 5);
+  assert.deepEqual(over.result, { winner: 1, reason: "timeout" });
+  assert.equal(over.winner, 1);
+  assert.equal(over.clock.runningSince, null);
+  assert.equal(isFlagged(over, 10 * MIN), false);
+});
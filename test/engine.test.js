@@ -0,0 +1,412 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  anyCaptureAvailable, captureSequences, checkResult, createInitialState, endCapture,
+  isLegalStep, legalSteps, listCapturesForPiece, listMovesForPiece, playStep,
+  replayHistory, replayPositions, resolveHuff, setupProblem, sign, takebackCount, variantRules
+} from "../shared/engine.js";
+import { position } from "./position.js";
+
+const targets = list => list.map(m => `${m.to.r},${m.to.c}`).sort();
+
+test("initial position has 12 men each and white to move", () => {
+  const s = createInitialState();
+  const flat = s.board.flat();
+  assert.equal(flat.filter(p => p === 1).length, 12);
+  assert.equal(flat.filter(p => p === -1).length, 12);
+  assert.equal(s.turn, 1);
+  assert.equal(legalSteps(s).length, 7);
+});
+
+test("a square off the board holds no piece of either side", () => {
+  const s = createInitialState();
+  assert.equal(sign(s.board[9]?.[0]), 0);
+  assert.equal(sign(-2), -1);
+  assert.ok(!isLegalStep({ ...s, turn: -1 }, { r: 9, c: 0 }, { r: 8, c: 1 }));
+});
+
+test("variant presets set board size, start rows, first move and rules", () => {
+  const intl = createInitialState(null, "international");
+  assert.equal(intl.board.length, 10);
+  assert.equal(intl.board.flat().filter(p => p === 1).length, 20);
+  assert.equal(intl.board.flat().filter(p => p === -1).length, 20);
+  assert.equal(legalSteps(intl).length, 9);
+  assert.equal(intl.rules.maxCapture, true);
+
+  const english = createInitialState(null, "english");
+  assert.equal(english.turn, -1);
+  assert.equal(english.rules.flyingKingMove, false);
+  assert.deepEqual(english.rules, variantRules("english"));
+
+  assert.equal(createInitialState(null, "nope").variant, "german");
+});
+
+test("a 10x10 king flies to the far corner", () => {
+  const s = position({ "9,0": 2, "0,1": -1 }, { size: 10 });
+  assert.ok(targets(listMovesForPiece(s.board, 9, 0, s.rules)).includes("0,9"));
+});
+
+test("men move one square diagonally forward only", () => {
+  const s = position({ "4,3": 1, "3,4": -1 });
+  assert.deepEqual(targets(listMovesForPiece(s.board, 4, 3, s.rules)), ["3,2"]);
+  assert.deepEqual(targets(listMovesForPiece(s.board, 3, 4, s.rules)), ["4,5"]);
+});
+
+test("menBackwardCapture toggles backward captures for men", () => {
+  const pieces = { "4,3": 1, "5,4": -1 };
+  const off = position(pieces, { rules: { menBackwardCapture: false } });
+  assert.deepEqual(listCapturesForPiece(off.board, 4, 3, off.rules), []);
+
+  const on = position(pieces, { rules: { menBackwardCapture: true } });
+  assert.deepEqual(listCapturesForPiece(on.board, 4, 3, on.rules),
+    [{ from: { r: 4, c: 3 }, over: { r: 5, c: 4 }, to: { r: 6, c: 5 } }]);
+});
+
+test("flyingKingMove toggles long king moves", () => {
+  const pieces = { "7,0": 2 };
+  const short = position(pieces, { rules: { flyingKingMove: false } });
+  assert.deepEqual(targets(listMovesForPiece(short.board, 7, 0, short.rules)), ["6,1"]);
+
+  const flying = position(pieces, { rules: { flyingKingMove: true } });
+  assert.equal(listMovesForPiece(flying.board, 7, 0, flying.rules).length, 7);
+});
+
+test("flyingKingCapture toggles captures from a distance", () => {
+  const pieces = { "7,0": 2, "4,3": -1 };
+  const short = position(pieces, { rules: { flyingKingCapture: false } });
+  assert.deepEqual(listCapturesForPiece(short.board, 7, 0, short.rules), []);
+
+  const flying = position(pieces, { rules: { flyingKingCapture: true } });
+  assert.deepEqual(targets(listCapturesForPiece(flying.board, 7, 0, flying.rules)), ["0,7", "1,6", "2,5", "3,4"]);
+});
+
+test("a flying king cannot jump two pieces in a row or its own pieces", () => {
+  const s = position({ "7,0": 2, "5,2": -1, "4,3": -1, "6,1": 0, "7,2": 2, "5,4": -1 });
+  assert.deepEqual(listCapturesForPiece(s.board, 7, 0, s.rules), []);
+  const own = position({ "7,0": 2, "6,1": 1, "4,3": -1 });
+  assert.deepEqual(listCapturesForPiece(own.board, 7, 0, own.rules), []);
+});
+
+test("a capture removes the jumped piece and passes the turn", () => {
+  const s = playStep(position({ "5,2": 1, "4,3": -1, "0,1": -1 }), { from: { r: 5, c: 2 }, to: { r: 3, c: 4 } });
+  assert.equal(s.board[4][3], 0);
+  assert.equal(s.board[3][4], 1);
+  assert.equal(s.turn, -1);
+  assert.deepEqual(s.lastMove.captured, [{ r: 4, c: 3 }]);
+  assert.equal(s.history.length, 1);
+});
+
+test("skipping a capture removes the moved piece when the penalty is on", () => {
+  const pieces = { "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 };
+  const move = { from: { r: 5, c: 6 }, to: { r: 4, c: 7 } };
+
+  const penalty = playStep(position(pieces), move);
+  assert.equal(penalty.board[4][7], 0);
+  assert.equal(penalty.lastMove.penaltyRemoved, true);
+
+  const noPenalty = playStep(position(pieces, { rules: { skipCapturePenaltyRemoveMoved: false } }), move);
+  assert.equal(noPenalty.board[4][7], 1);
+  assert.equal(noPenalty.lastMove.penaltyRemoved, false);
+
+  const noMustCapture = playStep(position(pieces, { rules: { mustCapture: false } }), move);
+  assert.equal(noMustCapture.board[4][7], 1);
+  assert.equal(noMustCapture.lastMove.penaltyRemoved, false);
+});
+
+test("huff mode lets the opponent blow away a piece that could have captured", () => {
+  const pieces = { "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 };
+  const s = playStep(position(pieces, { rules: { penaltyMode: "huff" } }), { from: { r: 5, c: 6 }, to: { r: 4, c: 7 } });
+  assert.equal(s.board[4][7], 1);
+  assert.equal(s.turn, -1);
+  assert.deepEqual(s.pendingHuff.candidates, [{ r: 5, c: 2 }]);
+  assert.equal(checkResult(s), null);
+  assert.equal(isLegalStep(s, { r: 0, c: 1 }, { r: 1, c: 0 }), false);
+  assert.deepEqual(legalSteps(s), []);
+
+  assert.equal(resolveHuff(s, { remove: { r: 4, c: 7 } }), null);
+  const huffed = resolveHuff(s, { remove: { r: 5, c: 2 } });
+  assert.equal(huffed.board[5][2], 0);
+  assert.equal(huffed.turn, -1);
+  assert.equal(huffed.pendingHuff, null);
+  assert.deepEqual(huffed.history[0].huffed, { r: 5, c: 2 });
+  assert.equal(huffed.history[0].penaltyRemoved, true);
+});
+
+test("huff mode: a moved piece that could have captured is a candidate on its new square", () => {
+  const pieces = { "5,2": 1, "4,3": -1, "0,7": -1 };
+  const s = playStep(position(pieces, { rules: { penaltyMode: "huff" } }), { from: { r: 5, c: 2 }, to: { r: 4, c: 1 } });
+  assert.deepEqual(s.pendingHuff.candidates, [{ r: 4, c: 1 }]);
+});
+
+test("huff mode: forcing the capture takes the move back and requires a capture", () => {
+  const pieces = { "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 };
+  const s = playStep(position(pieces, { rules: { penaltyMode: "huff" } }), { from: { r: 5, c: 6 }, to: { r: 4, c: 7 } });
+  const forced = resolveHuff(s, { forceCapture: true });
+  assert.equal(forced.turn, 1);
+  assert.equal(forced.board[5][6], 1);
+  assert.equal(forced.board[4][7], 0);
+  assert.deepEqual(forced.history, []);
+  assert.equal(forced.lastMove, null);
+  assert.equal(isLegalStep(forced, { r: 5, c: 6 }, { r: 4, c: 7 }), false);
+  assert.deepEqual(legalSteps(forced).map(m => `${m.to.r},${m.to.c}`), ["3,4"]);
+
+  const captured = playStep(forced, { from: { r: 5, c: 2 }, to: { r: 3, c: 4 } });
+  assert.equal(captured.captureRequired, false);
+  assert.equal(captured.board[4][3], 0);
+});
+
+test("replayHistory repeats a huff", () => {
+  const base = position({ "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 }, { rules: { penaltyMode: "huff" } });
+  let s = playStep(base, { from: { r: 5, c: 6 }, to: { r: 4, c: 7 } });
+  s = resolveHuff(s, { remove: { r: 5, c: 2 } });
+  s = playStep(s, { from: { r: 0, c: 1 }, to: { r: 1, c: 0 } });
+
+  const replayed = replayHistory({ ...base, setup: { board: base.board, turn: 1 } }, s.history);
+  assert.deepEqual(replayed.board, s.board);
+  assert.equal(replayed.turn, s.turn);
+});
+
+test("strict mode does not allow skipping a capture", () => {
+  const s = position({ "5,2": 1, "4,3": -1, "5,6": 1, "0,1": -1 }, { rules: { penaltyMode: "strict" } });
+  assert.equal(isLegalStep(s, { r: 5, c: 6 }, { r: 4, c: 7 }), false);
+  assert.deepEqual(targets(legalSteps(s)), ["3,4"]);
+});
+
+test("maxCapture only allows the sequence taking the most pieces", () => {
+  const pieces = { "7,0": 1, "6,1": -1, "4,3": -1, "5,6": 1, "4,5": -1, "0,7": -1 };
+  const s = position(pieces, { rules: { maxCapture: true, multiCapture: "forced", penaltyMode: "strict" } });
+  assert.equal(isLegalStep(s, { r: 5, c: 6 }, { r: 3, c: 4 }), false);
+  assert.equal(isLegalStep(s, { r: 7, c: 0 }, { r: 5, c: 2 }), true);
+  assert.deepEqual(targets(legalSteps(s)), ["5,2"]);
+});
+
+test("anyCaptureAvailable looks at every piece of the side", () => {
+  const s = position({ "5,2": 1, "4,3": -1, "6,1": 1 });
+  assert.equal(anyCaptureAvailable(s.board, 1, s.rules), true);
+  assert.equal(anyCaptureAvailable(s.board, -1, s.rules), false);
+});
+
+test("men are crowned on the far row", () => {
+  const white = playStep(position({ "1,2": 1, "7,0": -1 }), { from: { r: 1, c: 2 }, to: { r: 0, c: 1 } });
+  assert.equal(white.board[0][1], 2);
+  assert.equal(white.lastMove.crowned, true);
+
+  const black = playStep(position({ "6,1": -1, "0,1": 1 }, { turn: -1 }), { from: { r: 6, c: 1 }, to: { r: 7, c: 0 } });
+  assert.equal(black.board[7][0], -2);
+});
+
+test("optional multi-capture keeps the turn until the player stops", () => {
+  const pieces = { "7,0": 1, "6,1": -1, "4,3": -1, "0,7": -1 };
+  let s = playStep(position(pieces, { rules: { flyingKingCapture: false } }), { from: { r: 7, c: 0 }, to: { r: 5, c: 2 } });
+  assert.equal(s.turn, 1);
+  assert.deepEqual(s.pendingCapture, { r: 5, c: 2 });
+  assert.deepEqual(targets(legalSteps(s)), ["3,4"]);
+
+  s = endCapture(s);
+  assert.equal(s.turn, -1);
+  assert.equal(s.pendingCapture, null);
+  assert.equal(s.history[0].complete, true);
+});
+
+test("jumped pieces stay on the board until the sequence ends and cannot be crossed again", () => {
+  const start = position({ "5,8": 2, "6,7": -1, "5,4": -1, "8,7": -1, "0,1": -1 }, { rules: variantRules("international"), size: 10 });
+  // (4,3) -> (9,8) would cross (5,4), taken on the way to (4,3)
+  const paths = captureSequences(start, { r: 5, c: 8 }).map(seq => seq.path.map(p => `${p.r},${p.c}`).join(" "));
+  assert.ok(paths.includes("5,8 7,6 4,3") && paths.includes("5,8 7,6 9,8"));
+  assert.ok(!paths.some(p => p.startsWith("5,8 7,6 4,3 ")));
+  assert.equal(Math.max(...paths.map(p => p.split(" ").length)), 3);
+  assert.ok(!isLegalStep(start, { r: 5, c: 8 }, { r: 8, c: 5 })); // takes fewer
+
+  let s = playStep(start, { from: { r: 5, c: 8 }, to: { r: 7, c: 6 } });
+  assert.equal(s.board[6][7], -1);
+  assert.ok(!isLegalStep(s, { r: 7, c: 6 }, { r: 5, c: 8 })); // not over (6,7) again
+  s = playStep(s, { from: { r: 7, c: 6 }, to: { r: 4, c: 3 } });
+  assert.equal(s.pendingCapture, null);
+  assert.equal(s.turn, -1);
+  assert.equal(s.board[6][7], 0);
+  assert.equal(s.board[5][4], 0);
+  assert.equal(s.board[8][7], -1);
+});
+
+test("a continued sequence records the whole path in one history entry", () => {
+  let s = position({ "7,0": 1, "6,1": -1, "4,3": -1, "0,7": -1 });
+  s = playStep(s, { from: { r: 7, c: 0 }, to: { r: 5, c: 2 } });
+  s = playStep(s, { from: { r: 5, c: 2 }, to: { r: 3, c: 4 } });
+  assert.equal(s.turn, -1);
+  assert.deepEqual(s.lastMove.path, [{ r: 7, c: 0 }, { r: 5, c: 2 }, { r: 3, c: 4 }]);
+  assert.deepEqual(s.lastMove.captured, [{ r: 6, c: 1 }, { r: 4, c: 3 }]);
+  assert.equal(s.history.length, 1);
+});
+
+test("only the capturing piece may continue a sequence", () => {
+  const s = playStep(position({ "7,0": 1, "6,1": -1, "4,3": -1, "5,6": 1, "0,7": -1 }),
+    { from: { r: 7, c: 0 }, to: { r: 5, c: 2 } });
+  assert.equal(isLegalStep(s, { r: 5, c: 6 }, { r: 4, c: 7 }), false);
+  assert.equal(isLegalStep(s, { r: 5, c: 2 }, { r: 4, c: 1 }), false);
+  assert.equal(isLegalStep(s, { r: 5, c: 2 }, { r: 3, c: 4 }), true);
+});
+
+test("forced multi-capture only allows complete sequences", () => {
+  const pieces = { "7,0": 1, "6,1": -1, "4,3": -1, "0,7": -1 };
+  const optional = position(pieces);
+  assert.equal(captureSequences(optional, { r: 7, c: 0 }).length, 2);
+
+  const forced = position(pieces, { rules: { multiCapture: "forced" } });
+  const seqs = captureSequences(forced, { r: 7, c: 0 });
+  assert.equal(seqs.length, 1);
+  assert.equal(seqs[0].path.length, 3);
+});
+
+test("crowning during a capture ends the sequence", () => {
+  const s = playStep(position({ "2,1": 1, "1,2": -1, "1,4": -1, "7,0": -1 }), { from: { r: 2, c: 1 }, to: { r: 0, c: 3 } });
+  assert.equal(s.board[0][3], 2);
+  assert.equal(s.pendingCapture, null);
+  assert.equal(s.turn, -1);
+});
+
+test("promotion \"continue\": the new king captures on", () => {
+  const s = playStep(position({ "2,1": 1, "1,2": -1, "1,4": -1, "7,0": -1 }, { rules: { promotion: "continue" } }),
+    { from: { r: 2, c: 1 }, to: { r: 0, c: 3 } });
+  assert.equal(s.board[0][3], 2);
+  assert.deepEqual(s.pendingCapture, { r: 0, c: 3 });
+});
+
+test("promotion \"pass\": a man that can capture on is not crowned", () => {
+  const rules = { promotion: "pass", menBackwardCapture: true };
+  let s = playStep(position({ "2,1": 1, "1,2": -1, "1,4": -1, "7,0": -1 }, { rules }), { from: { r: 2, c: 1 }, to: { r: 0, c: 3 } });
+  assert.equal(s.board[0][3], 1);
+  assert.deepEqual(s.pendingCapture, { r: 0, c: 3 });
+  s = playStep(s, { from: { r: 0, c: 3 }, to: { r: 2, c: 5 } });
+  assert.equal(s.board[2][5], 1);
+  assert.equal(s.lastMove.crowned, false);
+});
+
+test("promotion \"pass\": a man that stops on the far row is crowned there", () => {
+  const rules = { promotion: "pass", menBackwardCapture: true, multiCapture: "optional" };
+  let s = playStep(position({ "2,1": 1, "1,2": -1, "1,4": -1, "7,0": -1 }, { rules }), { from: { r: 2, c: 1 }, to: { r: 0, c: 3 } });
+  s = endCapture(s);
+  assert.equal(s.board[0][3], 2);
+  assert.equal(s.board[1][2], 0);
+  assert.equal(s.lastMove.crowned, true);
+  assert.equal(s.history[0].crowned, true);
+});
+
+test("checkResult: no pieces left", () => {
+  assert.deepEqual(checkResult(position({ "5,2": 1 }, { turn: -1 })), { winner: 1, reason: "noPieces" });
+  assert.deepEqual(checkResult(position({ "2,1": -1 })), { winner: -1, reason: "noPieces" });
+});
+
+test("checkResult: side to move is blocked", () => {
+  const s = position({ "0,1": 1, "7,0": -1, "6,1": 1, "5,2": 1 }, { turn: -1 });
+  assert.deepEqual(checkResult(s), { winner: 1, reason: "blocked" });
+  assert.equal(checkResult({ ...s, turn: 1 }), null);
+});
+
+test("checkResult: no result while a sequence is pending", () => {
+  const s = playStep(position({ "7,0": 1, "6,1": -1, "4,3": -1, "0,7": -1 }), { from: { r: 7, c: 0 }, to: { r: 5, c: 2 } });
+  assert.equal(checkResult(s), null);
+});
+
+test("playStep records the result when the last piece is taken", () => {
+  const s = playStep(position({ "5,2": 1, "4,3": -1 }), { from: { r: 5, c: 2 }, to: { r: 3, c: 4 } });
+  assert.deepEqual(s.result, { winner: 1, reason: "noPieces" });
+  assert.equal(s.winner, 1);
+  assert.deepEqual(legalSteps(s), []);
+});
+
+// Two kings shuffling back and forth
+function shuffle(s, times) {
+  const w = [{ r: 7, c: 0 }, { r: 6, c: 1 }], b = [{ r: 0, c: 1 }, { r: 1, c: 2 }];
+  for (let i = 0; i < times && !s.result; i++) {
+    s = playStep(s, { from: w[i % 2], to: w[(i + 1) % 2] });
+    if (!s.result) s = playStep(s, { from: b[i % 2], to: b[(i + 1) % 2] });
+  }
+  return s;
+}
+
+test("threefold repetition is a draw when enabled", () => {
+  const rules = { flyingKingMove: false, kingMovesDraw: 0 };
+  const s = shuffle(position({ "7,0": 2, "0,1": -2 }, { rules }), 10);
+  assert.deepEqual(s.result, { winner: 0, reason: "repetition" });
+  assert.equal(s.history.length, 8);
+
+  const off = shuffle(position({ "7,0": 2, "0,1": -2 }, { rules: { ...rules, repetitionDraw: false } }), 10);
+  assert.equal(off.result, null);
+});
+
+test("the king-move limit is a draw when enabled", () => {
+  const rules = { flyingKingMove: false, repetitionDraw: false, kingMovesDraw: 3 };
+  const s = shuffle(position({ "7,0": 2, "0,1": -2 }, { rules }), 10);
+  assert.deepEqual(s.result, { winner: 0, reason: "moveLimit" });
+  assert.equal(s.history.length, 6);
+});
+
+test("a man move resets the draw counters", () => {
+  let s = shuffle(position({ "7,0": 2, "0,1": -2, "5,4": 1 }, { rules: { flyingKingMove: false } }), 1);
+  assert.equal(s.quietKingTurns, 2);
+  s = playStep(s, { from: { r: 5, c: 4 }, to: { r: 4, c: 5 } });
+  assert.equal(s.quietKingTurns, 0);
+  assert.equal(Object.keys(s.positions).length, 1);
+});
+
+test("replayHistory rebuilds the same position", () => {
+  let s = createInitialState();
+  s = playStep(s, { from: { r: 5, c: 2 }, to: { r: 4, c: 3 } });
+  s = playStep(s, { from: { r: 2, c: 5 }, to: { r: 3, c: 4 } });
+  s = playStep(s, { from: { r: 4, c: 3 }, to: { r: 2, c: 5 } });
+  const replayed = replayHistory(s, s.history);
+  assert.deepEqual(replayed.board, s.board);
+  assert.equal(replayed.turn, s.turn);
+
+  const undone = replayHistory(s, s.history.slice(0, 1));
+  assert.equal(undone.turn, -1);
+  assert.equal(undone.board[4][3], 1);
+});
+
+test("replayHistory keeps the agreed rules", () => {
+  const rules = { ...variantRules("german"), mustCapture: false };
+  let s = { ...createInitialState(), rules, rulesHistory: [{ variant: "german", rules, by: "white", at: 1 }] };
+  s = playStep(s, { from: { r: 5, c: 2 }, to: { r: 4, c: 3 } });
+  const replayed = replayHistory(s, []);
+  assert.equal(replayed.rules.mustCapture, false);
+  assert.deepEqual(replayed.rulesHistory, s.rulesHistory);
+});
+
+test("replayPositions has the start and the position after each turn", () => {
+  let s = createInitialState();
+  s = playStep(s, { from: { r: 5, c: 2 }, to: { r: 4, c: 3 } });
+  s = playStep(s, { from: { r: 2, c: 5 }, to: { r: 3, c: 4 } });
+  s = playStep(s, { from: { r: 4, c: 3 }, to: { r: 2, c: 5 } });
+  const positions = replayPositions(s);
+  assert.equal(positions.length, 4);
+  assert.deepEqual(positions[0].board, createInitialState().board);
+  assert.equal(positions[1].board[4][3], 1);
+  assert.deepEqual(positions[3].board, s.board);
+  assert.deepEqual(positions[3].lastMove.captured, [{ r: 3, c: 4 }]);
+});
+
+test("takebackCount undoes the requester's last move and any reply", () => {
+  const history = [{ side: 1 }, { side: -1 }];
+  assert.equal(takebackCount(history, 1), 2);
+  assert.equal(takebackCount(history, -1), 1);
+  assert.equal(takebackCount([], 1), 0);
+});
+
+test("setupProblem checks a set-up position", () => {
+  const setup = pieces => ({ board: position(pieces).board, turn: 1 });
+  assert.equal(setupProblem(setup({ "5,0": 1, "2,1": -1 })), null);
+  assert.equal(setupProblem({ ...setup({ "5,0": 1, "2,1": -1 }), turn: 0 }), "turn");
+  assert.equal(setupProblem(setup({ "5,0": 1, "2,1": -1 }), "international"), "size");
+  assert.equal(setupProblem(setup({ "5,1": 1, "2,1": -1 })), "lightSquare");
+  assert.equal(setupProblem(setup({ "0,1": 1, "2,1": -1 })), "promotionRow");
+  assert.equal(setupProblem(setup({ "0,1": 2, "2,1": -1 })), null); // a king may stand there
+  assert.equal(setupProblem(setup({ "5,0": 1 })), "noPieces");
+  assert.equal(setupProblem(setup({ "5,0": 3, "2,1": -1 })), "piece");
+  // White blocked in the corner by two Black men
+  assert.equal(setupProblem(setup({ "7,0": 1, "6,1": -1, "5,2": -1 })), "blocked");
+
+  const full = createInitialState().board.map(row => row.slice());
+  full[4][1] = 1;
+  assert.equal(setupProblem({ board: full, turn: 1 }), "tooMany");
+});
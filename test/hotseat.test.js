@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { STORAGE_KEY, createHotseat, seatToMove } from "../shared/hotseat.js";
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+// a joined hot-seat game, the state it last sent and an emit that resolves
+// once its broadcasts are delivered
+async function open(storage = memoryStorage()) {
+  const game = createHotseat(storage);
+  const seen = { state: null, joined: null };
+  game.on("state", ({ state }) => { seen.state = state; });
+  game.on("roomJoined", ({ state, role }) => { seen.state = state; seen.joined = role; });
+  const ask = async (event, payload) => {
+    let res;
+    game.emit(event, payload, r => { res = r; });
+    await null; // after the broadcasts queued by emit
+    return res;
+  };
+  await ask("joinRoom", { roomId: "local" });
+  return { game, seen, ask, storage };
+}
+
+test("both sides move on one device", async () => {
+  const { seen, ask } = await open();
+  assert.equal(seen.joined, "white");
+
+  assert.deepEqual(await ask("makeMove", { from: { r: 5, c: 0 }, to: { r: 4, c: 1 }, version: 0 }), { ok: true });
+  assert.equal(seatToMove(seen.state), "black");
+  assert.equal(seen.state.version, 1);
+
+  // the same side twice, or an old version, is refused like on the server
+  assert.equal((await ask("makeMove", { from: { r: 5, c: 2 }, to: { r: 4, c: 3 }, version: 1 })).error, "ILLEGAL_MOVE");
+  assert.equal((await ask("makeMove", { from: { r: 2, c: 1 }, to: { r: 3, c: 2 }, version: 0 })).error, "STALE_STATE");
+  assert.deepEqual(await ask("makeMove", { from: { r: 2, c: 1 }, to: { r: 3, c: 2 }, version: 1 }), { ok: true });
+  assert.equal(seen.state.history.length, 2);
+});
+
+test("the game is saved and resumed", async () => {
+  const first = await open();
+  await first.ask("makeMove", { from: { r: 5, c: 0 }, to: { r: 4, c: 1 }, version: 0 });
+  assert.ok(first.storage.getItem(STORAGE_KEY));
+
+  const again = await open(first.storage);
+  assert.equal(again.seen.joined, "black");
+  assert.equal(again.seen.state.version, 1);
+  assert.deepEqual(again.seen.state.board, first.seen.state.board);
+});
+
+test("takeback, draw and rules need no answer", async () => {
+  const { seen, ask } = await open();
+  assert.equal((await ask("requestTakeback")).error, "NOTHING_TO_UNDO");
+  await ask("makeMove", { from: { r: 5, c: 0 }, to: { r: 4, c: 1 }, version: 0 });
+  await ask("requestTakeback");
+  assert.equal(seen.state.history.length, 0);
+  assert.equal(seatToMove(seen.state), "white");
+
+  await ask("proposeRules", { rules: { ...seen.state.rules, mustCapture: false } });
+  assert.equal(seen.state.rules.mustCapture, false);
+  assert.equal(seen.state.rulesProposal, null);
+
+  assert.deepEqual(await ask("offerDraw"), { ok: true, accepted: true });
+  assert.deepEqual(seen.state.result, { winner: 0, reason: "agreement" });
+  assert.equal((await ask("resign")).error, "GAME_OVER");
+});
+
+test("server-only actions are refused", async () => {
+  const { ask } = await open();
+  assert.equal((await ask("setBot", { seat: "black", level: "easy" })).error, "FORBIDDEN");
+  assert.equal((await ask("importPdn", { pdn: "1. 22-18" })).error, "FORBIDDEN");
+});
+
+test("an unreadable save starts a new game", async () => {
+  const storage = memoryStorage();
+  storage.setItem(STORAGE_KEY, "{not json");
+  const { seen } = await open(storage);
+  assert.equal(seen.state.version, 0);
+  assert.equal(seen.state.history.length, 0);
+});
+
+test("a set-up position starts a game and can be restarted", async () => {
+  const { seen, ask } = await open();
+  const board = Array.from({ length: 8 }, () => Array(8).fill(0));
+  board[5][0] = 1;
+  board[2][1] = -1;
+
+  board[7][0] = -1; // a Black man on its crowning row
+  assert.deepEqual(await ask("setPosition", { board, turn: -1 }), { ok: false, error: "SETUP_INVALID", message: "promotionRow" });
+  board[7][0] = 0;
+  assert.equal((await ask("resetGame", { setup: "custom" })).error, "SETUP_INVALID");
+
+  await ask("setPosition", { board, turn: -1 });
+  assert.equal(seen.state.turn, -1);
+  await ask("makeMove", { from: { r: 2, c: 1 }, to: { r: 3, c: 0 }, version: seen.state.version });
+  await ask("resetGame", { setup: "custom" });
+  assert.deepEqual(seen.state.board, board);
+  await ask("resetGame", {});
+  assert.equal(seen.state.setup, null);
+});
+
+test("a page that joins before it listens still gets the game", async () => {
+  const game = createHotseat(memoryStorage());
+  game.emit("joinRoom", { roomId: "local" });
+  const joined = await new Promise(resolve => game.on("roomJoined", resolve));
+  assert.equal(joined.role, "white");
+  assert.equal(joined.state.version, 0);
+});
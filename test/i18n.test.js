@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { CATALOGUES, LANGUAGES, detectLanguage, hasMessage, translate } from "../shared/i18n.js";
+
+const source = path => readFileSync(new URL(path, import.meta.url), "utf8");
+const placeholders = message => [...message.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test("every language has the same messages with the same placeholders", () => {
+  assert.deepEqual(Object.keys(LANGUAGES).sort(), Object.keys(CATALOGUES).sort());
+  const { de, ...others } = CATALOGUES;
+  for (const [lang, catalogue] of Object.entries(others)) {
+    assert.deepEqual(Object.keys(catalogue).sort(), Object.keys(de).sort(), lang);
+    for (const [key, message] of Object.entries(de)) {
+      assert.equal(typeof catalogue[key], typeof message, `${lang} ${key}`);
+      if (typeof message === "string") assert.deepEqual(placeholders(catalogue[key]), placeholders(message), `${lang} ${key}`);
+    }
+  }
+});
+
+test("the language is the stored choice, else the browser's, else German", () => {
+  assert.equal(detectLanguage("en", ["de-DE"]), "en");
+  assert.equal(detectLanguage(null, ["fr-FR", "en-GB", "de"]), "en");
+  assert.equal(detectLanguage("xx", ["DE-at"]), "de");
+  assert.equal(detectLanguage(null, ["fr"]), "de");
+  assert.equal(detectLanguage(undefined), "de");
+});
+
+test("messages are filled in and fall back to German, then to the key", () => {
+  assert.equal(translate("en", "status.turn", { seat: "White" }), "White to move");
+  assert.equal(translate("de", "status.turn", { seat: "Weiß" }), "Weiß ist am Zug");
+  assert.equal(translate("en", "status.turn"), "{seat} to move");
+  assert.equal(translate("fr", "seat.white"), "Weiß");
+  assert.equal(translate("en", "no.such.key"), "no.such.key");
+  assert.equal(translate("en", "stats.games", { games: 1, draws: 0 }), "1 game");
+  assert.equal(translate("de", "stats.games", { games: 3, draws: 1 }), "3 Partien, davon 1 Remis");
+  assert.ok(!hasMessage("no.such.key"));
+});
+
+test("every server error, import problem and set-up problem has a message", () => {
+  const codes = [...source("../lib/protocol.js").matchAll(/^ \*   ([A-Z_]+) /gm)].map(m => m[1]);
+  assert.ok(codes.length > 15);
+  for (const code of [...codes, "OFFLINE"]) assert.ok(hasMessage(`error.${code}`), code);
+
+  const pdn = new Set([...source("../lib/pdn.js").matchAll(/PdnError\("(\w+)"/g)].map(m => m[1]));
+  pdn.add("otherRules"); // server.js: an import on rules the room has not agreed
+  assert.ok(pdn.size > 5);
+  for (const key of pdn) assert.ok(hasMessage(`pdn.${key}`), key);
+
+  for (const key of ["turn", "size", "piece", "lightSquare", "promotionRow", "noPieces", "tooMany", "blocked", "none"]) {
+    assert.ok(hasMessage(`setup.${key}`), key);
+  }
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createInitialState, playStep, resolveHuff } from "../shared/engine.js";
+import { PdnError, formatFen, formatPdn, loadPdnGame, parseFen, squareCoords, squareNumber } from "../lib/pdn.js";
+
+test("squares are numbered 1..32 over the dark squares from the top", () => {
+  assert.deepEqual(squareCoords(1), { r: 0, c: 1 });
+  assert.deepEqual(squareCoords(5), { r: 1, c: 0 });
+  assert.deepEqual(squareCoords(32), { r: 7, c: 6 });
+  for (let n = 1; n <= 32; n++) {
+    const { r, c } = squareCoords(n);
+    assert.equal((r + c) % 2, 1);
+    assert.equal(squareNumber(r, c), n);
+  }
+});
+
+test("10x10 squares run 1..50", () => {
+  assert.deepEqual(squareCoords(1, 10), { r: 0, c: 1 });
+  assert.deepEqual(squareCoords(50, 10), { r: 9, c: 8 });
+  assert.equal(squareNumber(6, 1, 10), 31);
+  assert.throws(() => squareCoords(51, 10), PdnError);
+});
+
+test("standard start as FEN", () => {
+  const s = createInitialState();
+  const fen = formatFen(s.board, s.turn);
+  assert.equal(fen, "W:W21,22,23,24,25,26,27,28,29,30,31,32:B1,2,3,4,5,6,7,8,9,10,11,12");
+  assert.deepEqual(parseFen("W:W21-32:B1-12").board, s.board);
+});
+
+test("kings in FEN", () => {
+  const { board, turn } = parseFen("B:WK30:B14");
+  assert.equal(turn, -1);
+  assert.equal(board[7][2], 2);
+  assert.equal(board[3][2], -1);
+});
+
+test("FEN ranges off the board are rejected before they are expanded", () => {
+  for (const fen of ["W:W1-99999999999:B5", "W:W40-30000000:B5", "W:W0-3:B5", "W:W21-33:B1"]) {
+    assert.throws(() => parseFen(fen), err => err instanceof PdnError && err.key === "fenPieces", fen);
+  }
+  assert.equal(parseFen("W:W41-50:B1", 10).board[9][8], 1);
+});
+
+test("export and import round-trip", () => {
+  let s = createInitialState();
+  s = playStep(s, { from: { r: 5, c: 2 }, to: { r: 4, c: 3 } });
+  s = playStep(s, { from: { r: 2, c: 5 }, to: { r: 3, c: 4 } });
+  s = playStep(s, { from: { r: 4, c: 3 }, to: { r: 2, c: 5 } });
+
+  const pdn = formatPdn({ tags: { White: "A", Black: "B" }, history: s.history, setup: null, result: null });
+  assert.match(pdn, /1\. 22-18 11-15 2\. 18x11 \*/);
+
+  const loaded = loadPdnGame(pdn, s.rules);
+  assert.deepEqual(loaded.board, s.board);
+  assert.equal(loaded.history.length, 3);
+});
+
+test("a huffed piece is kept in a comment and replayed", () => {
+  const rules = { ...createInitialState().rules, penaltyMode: "huff" };
+  let s = loadPdnGame('[FEN "W:W22,24:B18,1"]', rules);
+  s = playStep(s, { from: { r: 5, c: 6 }, to: { r: 4, c: 7 } });
+  s = resolveHuff(s, { remove: { r: 5, c: 2 } });
+  s = playStep(s, { from: { r: 0, c: 1 }, to: { r: 1, c: 0 } });
+
+  const pdn = formatPdn({ tags: {}, history: s.history, setup: s.setup, result: null });
+  assert.match(pdn, /1\. 24-20 \{huff 22\} 1-5 \*/);
+  assert.deepEqual(loadPdnGame(pdn, rules).board, s.board);
+
+  assert.throws(() => loadPdnGame('[FEN "W:W22,24:B18,1"] 1. 24-20 1-5', rules), PdnError);
+});
+
+test("GameType tags carry the variant", () => {
+  let intl = createInitialState(null, "international");
+  intl = playStep(intl, { from: { r: 6, c: 1 }, to: { r: 5, c: 2 } });
+  const pdn = formatPdn({ tags: {}, history: intl.history, setup: null, result: null, variant: "international" });
+  assert.match(pdn, /\[GameType "20"\]/);
+  assert.match(pdn, /1\. 31-27 \*/);
+  const loaded = loadPdnGame(pdn, createInitialState().rules);
+  assert.equal(loaded.variant, "international");
+  assert.deepEqual(loaded.board, intl.board);
+
+  const english = loadPdnGame('[GameType "21"] 1. 9-14 22-18', createInitialState().rules);
+  assert.equal(english.variant, "english");
+  assert.equal(english.history[0].side, -1);
+  assert.match(formatPdn({ tags: {}, history: english.history, setup: null, result: null, variant: "english" }),
+    /1\. 9-14 22-18 \*/);
+
+  assert.throws(() => loadPdnGame('[GameType "22"]', createInitialState().rules), PdnError);
+});
+
+test("results are written as 1-0, 0-1 and 1/2-1/2", () => {
+  const pdn = result => formatPdn({ tags: {}, history: [], setup: null, result });
+  assert.match(pdn({ winner: 1, reason: "resign" }), /\[Result "1-0"\]/);
+  assert.match(pdn({ winner: -1, reason: "blocked" }), /\[Result "0-1"\]/);
+  assert.match(pdn({ winner: 0, reason: "agreement" }), /\[Result "1\/2-1\/2"\]/);
+});
+
+test("a capture may list only its first and last square", () => {
+  const s = loadPdnGame('[FEN "W:W29:B25,18,1"] 1. 29x15', createInitialState().rules);
+  assert.equal(s.board[3][4], 1);
+  assert.equal(s.history[0].captured.length, 2);
+});
+
+test("illegal moves are rejected", () => {
+  assert.throws(() => loadPdnGame("1. 22-17 2-7", createInitialState().rules), PdnError);
+  assert.throws(() => loadPdnGame("1. 9-13", createInitialState().rules), PdnError);
+});
+
+test("import errors are keyed for the client to translate", () => {
+  assert.throws(() => loadPdnGame("1. 22-18 9-13 9-14", createInitialState().rules),
+    { key: "notToMove", params: { n: 3, move: "9-14" }, message: "Illegal move #3 (9-14): not the side to move" });
+  assert.throws(() => parseFen("X:W21:B1"), { key: "fenTurn", params: { fen: "X:W21:B1" } });
+});
+
+test("a FEN start position gets the set-up checks", () => {
+  const rules = createInitialState().rules;
+  assert.throws(() => loadPdnGame('[FEN "W:W21:B"]\n*', rules), { key: "fenSetup", params: { problem: "noPieces" } });
+  assert.throws(() => loadPdnGame('[FEN "W:W1:B29"]\n*', rules), { key: "fenSetup", params: { problem: "promotionRow" } });
+  assert.equal(loadPdnGame('[FEN "W:WK1:B20"]\n*', rules).board[0][1], 2);
+});
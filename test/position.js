@@ -0,0 +1,16 @@
+import { createInitialState, positionKey } from "../shared/engine.js";
+
+// Test fixture: an empty board with the given pieces ({ "r,c": piece }),
+// `turn` to move and `rules` over the German preset
+export function position(pieces, { turn = 1, rules = {}, size = 8 } = {}) {
+  const state = createInitialState();
+  state.board = Array.from({ length: size }, () => Array(size).fill(0));
+  for (const [k, v] of Object.entries(pieces)) {
+    const [r, c] = k.split(",").map(Number);
+    state.board[r][c] = v;
+  }
+  state.turn = turn;
+  state.rules = { ...state.rules, ...rules };
+  state.positions = { [positionKey(state.board, turn)]: 1 };
+  return state;
+}
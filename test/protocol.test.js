@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ActionError, createRateLimiter, errorReply, validate } from "../lib/protocol.js";
+
+test("validate checks types, enums, nested schemas and optional keys", () => {
+  const schema = { from: "square", to: "square", note: "string?", seat: ["white", "black"], opts: { fast: "boolean" } };
+  const ok = { from: { r: 5, c: 2 }, to: { r: 4, c: 3 }, seat: "white", opts: { fast: true } };
+  assert.equal(validate(schema, ok), true);
+  assert.equal(validate(schema, { ...ok, note: "hi" }), true);
+  assert.equal(validate(schema, { ...ok, note: 3 }), false);
+  assert.equal(validate(schema, { ...ok, from: { r: 5 } }), false);
+  assert.equal(validate(schema, { ...ok, from: { r: 5, c: 2.5 } }), false);
+  assert.equal(validate(schema, { ...ok, from: { r: 10, c: 2 } }), false);
+  assert.equal(validate(schema, { ...ok, seat: "red" }), false);
+  assert.equal(validate(schema, { ...ok, opts: {} }), false);
+});
+
+test("validate rejects unknown keys and non-objects", () => {
+  assert.equal(validate({}, {}), true);
+  assert.equal(validate({}, { extra: 1 }), false);
+  assert.equal(validate({}, null), false);
+  assert.equal(validate({}, [1]), false);
+  assert.equal(validate({ pdn: v => typeof v === "string" }, { pdn: 1 }), false);
+});
+
+test("the rate limiter allows a burst, then refills over time", () => {
+  const limiter = createRateLimiter({ burst: 3, perSecond: 2 });
+  const t = Date.now();
+  assert.equal(limiter.take(t), true);
+  assert.equal(limiter.take(t), true);
+  assert.equal(limiter.take(t), true);
+  assert.equal(limiter.take(t), false);
+  assert.equal(limiter.take(t + 500), true);
+  assert.equal(limiter.take(t + 500), false);
+});
+
+test("errors are answered with their code, message key and params", () => {
+  assert.deepEqual(errorReply(new ActionError("FORBIDDEN")), { ok: false, error: "FORBIDDEN" });
+  assert.deepEqual(errorReply(new ActionError("PDN_INVALID", "illegal", { n: 2, move: "9-13" })),
+    { ok: false, error: "PDN_INVALID", message: "illegal", params: { n: 2, move: "9-13" } });
+});
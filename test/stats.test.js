@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createInitialState, endGame, playStep, variantRules } from "../shared/engine.js";
+import { gameRecord, summarize } from "../lib/stats.js";
+
+function game(winner, { plies = 10, minutes = 5, variant = "german", rules = variantRules(variant) } = {}) {
+  return { startedAt: 0, endedAt: minutes * 60000, result: { winner, reason: "resign" }, plies, variant, rules, custom: false };
+}
+
+test("a finished game becomes a record", () => {
+  let s = createInitialState();
+  s = playStep(s, { from: { r: 5, c: 2 }, to: { r: 4, c: 3 } });
+  s = endGame(s, { winner: -1, reason: "resign" });
+  const rec = gameRecord(s, s.startedAt + 1000);
+  assert.deepEqual(rec.result, { winner: -1, reason: "resign" });
+  assert.equal(rec.plies, 1);
+  assert.equal(rec.endedAt - rec.startedAt, 1000);
+  assert.equal(rec.variant, "german");
+  assert.equal(rec.custom, false);
+});
+
+test("score, averages and streaks", () => {
+  const stats = summarize([game(1), game(1, { plies: 20 }), game(0), game(-1, { minutes: 15 }), game(-1), game(-1)]);
+  assert.deepEqual(stats.score, { white: 2, black: 3, draws: 1 });
+  assert.deepEqual(stats.streak, { seat: "black", length: 3 });
+  assert.deepEqual(stats.longestStreak, { white: 2, black: 3 });
+  assert.equal(stats.averagePlies, 70 / 6);
+  assert.equal(stats.averageDurationMs, 40 * 60000 / 6);
+
+  assert.deepEqual(summarize([game(1), game(0)]).streak, { seat: null, length: 0 });
+});
+
+test("no games", () => {
+  const stats = summarize([]);
+  assert.equal(stats.games, 0);
+  assert.equal(stats.averagePlies, null);
+  assert.deepEqual(stats.byRules, []);
+});
+
+test("results are grouped by variant and rules", () => {
+  const relaxed = { ...variantRules("german"), mustCapture: false };
+  const stats = summarize([
+    game(1), game(-1, { rules: relaxed }), game(1, { rules: { ...variantRules("german") } }),
+    game(0, { variant: "russian" })
+  ]);
+  assert.equal(stats.byRules.length, 3);
+  assert.deepEqual(stats.byRules[0], { variant: "german", rules: variantRules("german"), games: 2, white: 2, black: 0, draws: 0 });
+  assert.equal(stats.byRules.find(g => g.variant === "russian").draws, 1);
+});
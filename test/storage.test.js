@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { createJsonFileStore, createStore } from "../lib/storage.js";
+
+// A store on a fresh temp dir, removed after the test
+async function tempStore(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "dame-storage-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return { dir, store: createJsonFileStore(dir) };
+}
+
+const byId = records => records.sort((a, b) => a.id.localeCompare(b.id));
+
+test("saved rooms are loaded back and removed", async (t) => {
+  const { store } = await tempStore(t);
+  assert.deepEqual(await store.loadAll(), []);
+
+  await store.save({ id: "a", state: { version: 1 } });
+  await store.save({ id: "b", state: { version: 2 } });
+  assert.deepEqual(byId(await store.loadAll()), [{ id: "a", state: { version: 1 } }, { id: "b", state: { version: 2 } }]);
+
+  await store.remove("a");
+  await store.remove("missing"); // nothing to remove is fine
+  assert.deepEqual(await store.loadAll(), [{ id: "b", state: { version: 2 } }]);
+});
+
+test("overlapping saves of one room land in order and leave no temp files", async (t) => {
+  const { dir, store } = await tempStore(t);
+  const big = "x".repeat(200_000); // slow enough for writes to overlap if they could
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.save({ id: "room", version: i, pad: i % 2 ? big : "" })));
+  assert.deepEqual((await store.loadAll()).map(r => r.version), [19]);
+
+  // a removal queued after a save wins, too
+  await Promise.all([store.save({ id: "room", version: 20 }), store.remove("room")]);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test("an unreadable file is skipped, the rest still load", async (t) => {
+  const { dir, store } = await tempStore(t);
+  await store.save({ id: "good" });
+  await fs.writeFile(path.join(dir, "broken.json"), "{\"id\": \"broken\", ");
+  await fs.writeFile(path.join(dir, "notes.txt"), "not a room");
+
+  const errors = t.mock.method(console, "error", () => {});
+  assert.deepEqual(await store.loadAll(), [{ id: "good" }]);
+  assert.equal(errors.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[0], /broken\.json/);
+});
+
+test("only known backends can be created", () => {
+  assert.throws(() => createStore("sqlite", {}), /Unknown storage backend/);
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import { deliverWebhook, isWebhookUrl } from "../lib/webhooks.js";
+
+const FAST = { timeoutMs: 200, backoffMs: 10 };
+
+// A stand-in receiver: answers each request with the next of `replies`
+// (a status code, or "hang" to never answer) and keeps the bodies it got.
+async function receiver(replies) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push({ method: req.method, type: req.headers["content-type"], body: JSON.parse(body) });
+      const reply = replies[Math.min(received.length, replies.length) - 1];
+      if (reply === "hang") return;
+      res.writeHead(reply).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return {
+    url,
+    received,
+    close: () => { server.closeAllConnections(); server.close(); }
+  };
+}
+
+test("only plain http(s) URLs are webhooks", () => {
+  assert.equal(isWebhookUrl("https://example.com/hook?x=1"), true);
+  assert.equal(isWebhookUrl("http://localhost:8080/"), true);
+  assert.equal(isWebhookUrl("ftp://example.com/"), false);
+  assert.equal(isWebhookUrl("https://user:pw@example.com/"), false);
+  assert.equal(isWebhookUrl("not a url"), false);
+  assert.equal(isWebhookUrl(`https://example.com/${"x".repeat(500)}`), false);
+  assert.equal(isWebhookUrl(null), false);
+});
+
+test("the payload is POSTed as JSON", async () => {
+  const r = await receiver([204]);
+  try {
+    const res = await deliverWebhook(r.url, { event: "yourTurn", seat: "black" }, FAST);
+    assert.deepEqual(res, { ok: true, attempts: 1, status: 204 });
+    assert.deepEqual(r.received, [{ method: "POST", type: "application/json", body: { event: "yourTurn", seat: "black" } }]);
+  } finally {
+    r.close();
+  }
+});
+
+test("server errors and timeouts are retried", async () => {
+  const r = await receiver([503, "hang", 200]);
+  try {
+    const res = await deliverWebhook(r.url, { n: 1 }, FAST);
+    assert.deepEqual(res, { ok: true, attempts: 3, status: 200 });
+    assert.equal(r.received.length, 3);
+  } finally {
+    r.close();
+  }
+});
+
+test("a refusal is not retried, and delivery gives up after the last attempt", async () => {
+  const refused = await receiver([404]);
+  const failing = await receiver([500]);
+  try {
+    assert.deepEqual(await deliverWebhook(refused.url, {}, FAST), { ok: false, attempts: 1, status: 404 });
+    assert.deepEqual(await deliverWebhook(failing.url, {}, { ...FAST, attempts: 2 }), { ok: false, attempts: 2, status: 500 });
+    assert.equal(failing.received.length, 2);
+  } finally {
+    refused.close();
+    failing.close();
+  }
+});
+
+test("an unreachable receiver is an error, not an exception", async () => {
+  const r = await receiver([200]);
+  r.close();
+  const res = await deliverWebhook(r.url, {}, { ...FAST, attempts: 2 });
+  assert.equal(res.ok, false);
+  assert.equal(res.attempts, 2);
+  assert.ok(res.error);
+});